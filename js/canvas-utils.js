@@ -177,6 +177,8 @@ function clamp(value, min, max) {
 
 /**
  * Numerical derivative approximation
+ * (for expressions typed by the user, differentiateExpression() in
+ * symbolic.js gives the exact derivative and its formula)
  * @param {Function} f - Function to differentiate
  * @param {number} x - Point to evaluate derivative
  * @param {number} h - Step size (default: 0.0001)
@@ -0,0 +1,205 @@
+// Offline Python computation cells
+//
+// Drop-in replacement for sagecell.makeSagecell(): turns every
+// `.sagecell-python` block into an editable cell that runs locally in the
+// browser with Pyodide (Python + SymPy/NumPy compiled to WebAssembly).
+// The runtime is loaded from the repo's vendor/pyodide/ folder, so no
+// internet connection is needed (see vendor/pyodide/README.md).
+//
+// If the runtime can't be found or fails to start, the code stays visible
+// read-only with a message explaining why, instead of a dead widget.
+//
+// Usage:
+//   <script src="../js/compute-cell.js"></script>
+//   makeComputeCells({ inputLocation: '.sagecell-python', evalButtonText: 'Run Code' });
+
+const COMPUTE_CELL_DEFAULTS = {
+    inputLocation: '.sagecell-python',
+    evalButtonText: 'Run Code',
+    runtimeUrl: '../vendor/pyodide/'
+};
+
+// One shared runtime per page, started by the first Run click
+let pythonRuntimePromise = null;
+let pythonScriptPromise = null;
+
+/**
+ * Load pyodide.js (the small bootstrap script) from the runtime folder.
+ * @param {string} baseUrl - Folder containing pyodide.js
+ * @returns {Promise<void>} - Rejects if the file is missing
+ */
+function loadPythonScript(baseUrl) {
+    if (!pythonScriptPromise) {
+        pythonScriptPromise = new Promise((resolve, reject) => {
+            if (typeof loadPyodide === 'function') {
+                resolve();
+                return;
+            }
+            const script = document.createElement('script');
+            script.src = baseUrl + 'pyodide.js';
+            script.onload = () => resolve();
+            script.onerror = () => {
+                // Forget the failure so the next Run click can try again
+                pythonScriptPromise = null;
+                script.remove();
+                reject(new Error(`Could not find ${baseUrl}pyodide.js`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return pythonScriptPromise;
+}
+
+/**
+ * Start (or reuse) the Pyodide interpreter.
+ * @param {string} baseUrl - Folder containing the Pyodide distribution
+ * @returns {Promise<Object>} - The pyodide instance
+ */
+function startPythonRuntime(baseUrl) {
+    if (!pythonRuntimePromise) {
+        pythonRuntimePromise = loadPythonScript(baseUrl)
+            .then(() => loadPyodide({ indexURL: baseUrl }));
+        // Allow a retry after a failure (e.g. the folder was filled in later)
+        pythonRuntimePromise.catch(() => {
+            pythonRuntimePromise = null;
+        });
+    }
+    return pythonRuntimePromise;
+}
+
+/**
+ * Run Python code and collect everything it prints.
+ * @param {Object} pyodide - Runtime from startPythonRuntime
+ * @param {string} code - Python source
+ * @returns {Promise<string>} - Captured stdout and stderr
+ */
+async function runPythonCode(pyodide, code) {
+    const lines = [];
+    pyodide.setStdout({ batched: line => lines.push(line) });
+    pyodide.setStderr({ batched: line => lines.push(line) });
+
+    // Fetches sympy/numpy wheels from the same local folder on first use
+    await pyodide.loadPackagesFromImports(code);
+
+    try {
+        const result = await pyodide.runPythonAsync(code);
+        if (result !== undefined && result !== null && lines.length === 0) {
+            lines.push(String(result));
+        }
+    } catch (err) {
+        // Python tracebacks are long; the last line carries the actual error
+        const message = String(err.message || err).trim().split('\n');
+        lines.push(message[message.length - 1]);
+        throw new Error(lines.join('\n'));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Replace a code block with an editable cell (textarea, Run button, output).
+ * @param {HTMLElement} element - Block whose text is the Python code
+ * @param {Object} options - Options passed to makeComputeCells
+ * @returns {Object} - Handles to the cell's parts
+ */
+function buildComputeCell(element, options) {
+    const code = element.textContent.replace(/^\n+|\s+$/g, '');
+
+    element.textContent = '';
+    element.classList.add('compute-cell');
+
+    const editor = document.createElement('textarea');
+    editor.className = 'compute-cell-code';
+    editor.value = code;
+    editor.spellcheck = false;
+    editor.rows = Math.min(30, code.split('\n').length + 1);
+
+    const button = document.createElement('button');
+    button.className = 'check-btn compute-cell-run';
+    button.textContent = options.evalButtonText;
+
+    const status = document.createElement('div');
+    status.className = 'compute-cell-status';
+
+    const output = document.createElement('pre');
+    output.className = 'compute-cell-output';
+    output.hidden = true;
+
+    element.append(editor, button, status, output);
+    return { element, editor, button, status, output };
+}
+
+// Show the code read-only with an explanation when Python can't run. The button
+// stays as "Try again" unless a retry cannot help (no WebAssembly).
+function disableComputeCell(cell, reason, canRetry) {
+    cell.editor.readOnly = true;
+    cell.button.disabled = !canRetry;
+    cell.button.textContent = 'Try again';
+    cell.element.classList.add('compute-cell-offline');
+    cell.status.textContent = `Python is not available here (${reason}). ` +
+        'The code is shown read-only — copy it into any Python with SymPy to run it.';
+}
+
+// Undo disableComputeCell once the runtime has started after all
+function enableComputeCell(cell, options) {
+    if (!cell.element.classList.contains('compute-cell-offline')) return;
+    cell.editor.readOnly = false;
+    cell.status.textContent = '';
+    cell.button.textContent = options.evalButtonText;
+    cell.element.classList.remove('compute-cell-offline');
+}
+
+/**
+ * Turn code blocks into runnable offline Python cells.
+ * Accepts the same inputLocation/evalButtonText options as sagecell.makeSagecell.
+ * @param {Object} options - {inputLocation, evalButtonText, runtimeUrl}
+ * @returns {Object[]} - The created cells
+ */
+function makeComputeCells(options = {}) {
+    const opts = Object.assign({}, COMPUTE_CELL_DEFAULTS, options);
+    const cells = Array.from(document.querySelectorAll(opts.inputLocation))
+        .map(el => buildComputeCell(el, opts));
+
+    if (cells.length === 0) return cells;
+
+    const disableAll = (reason, canRetry = true) => cells.forEach(cell => disableComputeCell(cell, reason, canRetry));
+
+    if (typeof WebAssembly === 'undefined') {
+        disableAll('this browser does not support WebAssembly', false);
+        return cells;
+    }
+
+    // Check for the runtime up front so a missing install is reported on load,
+    // not after the first click
+    loadPythonScript(opts.runtimeUrl).catch(err => disableAll(err.message));
+
+    cells.forEach(cell => {
+        cell.button.addEventListener('click', async () => {
+            cell.button.disabled = true;
+            cell.output.hidden = true;
+            cell.output.classList.remove('error');
+            cell.status.textContent = pythonRuntimePromise ? 'Running…' : 'Starting Python (first run can take a few seconds)…';
+
+            let pyodide;
+            try {
+                pyodide = await startPythonRuntime(opts.runtimeUrl);
+            } catch (err) {
+                disableAll(err.message || 'the runtime failed to start');
+                return;
+            }
+            cells.forEach(other => enableComputeCell(other, opts));
+
+            cell.status.textContent = 'Running…';
+            try {
+                cell.output.textContent = await runPythonCode(pyodide, cell.editor.value) || '(no output)';
+            } catch (err) {
+                cell.output.textContent = err.message;
+                cell.output.classList.add('error');
+            }
+            cell.output.hidden = false;
+            cell.status.textContent = '';
+            cell.button.disabled = false;
+        });
+    });
+
+    return cells;
+}
@@ -0,0 +1,426 @@
+// 2D contour plot with an optional gradient field
+//
+// Draws level curves of z = f(x, y) with marching squares, plus a ∇f quiver
+// field that can be toggled. A highlighted point (with its gradient arrow),
+// markers and paths can be layered on top, and clicks report the (x, y)
+// under the mouse so the plot can drive another view.
+//
+// Usage:
+//   <canvas id="contour" width="400" height="400"></canvas>
+//   <script src="../js/contour-plot.js"></script>
+//   const contour = new ContourPlot('contour', {
+//       xRange: [-2, 2], yRange: [-2, 2],
+//       onPointSelect: (x, y) => viz.setPoint(x, y)
+//   });
+//   contour.setFunction((x, y) => x*x - y*y);   // gradient optional
+//   contour.setPoint(1, 0.5);
+
+const CONTOUR_PLOT_DEFAULTS = {
+    xRange: [-2, 2],
+    yRange: [-2, 2],
+    resolution: 60,         // grid cells per side for marching squares
+    levels: 14,             // number of level curves, or an array of z values
+    showGradient: true,
+    quiverCount: 13,        // arrows per side
+    padding: 30,
+    background: '#16213e',
+    onPointSelect: null     // (x, y) => {} when the plot is clicked
+};
+
+// Marching-squares edge table: for each corner pattern (bit 0 = bottom-left,
+// 1 = bottom-right, 2 = top-right, 3 = top-left above the level), the pairs of
+// cell edges (0 = bottom, 1 = right, 2 = top, 3 = left) joined by the contour.
+// The saddle cases 5 and 10 are resolved by the cell-centre value.
+const MARCHING_SQUARES_EDGES = [
+    [], [[3, 0]], [[0, 1]], [[3, 1]],
+    [[1, 2]], null, [[0, 2]], [[3, 2]],
+    [[2, 3]], [[2, 0]], null, [[2, 1]],
+    [[1, 3]], [[1, 0]], [[0, 3]], []
+];
+
+/**
+ * Find the line segments where a sampled surface crosses one level.
+ * @param {number[][]} grid - grid[i][j] = f(xs[i], ys[j]); NaN marks undefined points
+ * @param {number[]} xs - x coordinate of each column
+ * @param {number[]} ys - y coordinate of each row
+ * @param {number} level - The z value to trace
+ * @returns {Array<Array<{x: number, y: number}>>} - Segments as [start, end] pairs
+ */
+function contourSegments(grid, xs, ys, level) {
+    const segments = [];
+
+    for (let i = 0; i < xs.length - 1; i++) {
+        for (let j = 0; j < ys.length - 1; j++) {
+            const v = [grid[i][j], grid[i + 1][j], grid[i + 1][j + 1], grid[i][j + 1]];
+            if (!v.every(Number.isFinite)) continue;
+
+            const code = (v[0] > level ? 1 : 0) | (v[1] > level ? 2 : 0) |
+                (v[2] > level ? 4 : 0) | (v[3] > level ? 8 : 0);
+            let pairs = MARCHING_SQUARES_EDGES[code];
+            if (pairs === null) {
+                const centreAbove = (v[0] + v[1] + v[2] + v[3]) / 4 > level;
+                if (code === 5) pairs = centreAbove ? [[3, 2], [0, 1]] : [[3, 0], [1, 2]];
+                else pairs = centreAbove ? [[0, 3], [2, 1]] : [[2, 3], [0, 1]];
+            }
+            if (pairs.length === 0) continue;
+
+            // Linear interpolation along an edge between two corners
+            const x0 = xs[i], x1 = xs[i + 1], y0 = ys[j], y1 = ys[j + 1];
+            const lerp = (a, b) => (level - a) / (b - a);
+            const edgePoint = edge => {
+                switch (edge) {
+                    case 0: return {x: x0 + lerp(v[0], v[1]) * (x1 - x0), y: y0};
+                    case 1: return {x: x1, y: y0 + lerp(v[1], v[2]) * (y1 - y0)};
+                    case 2: return {x: x0 + lerp(v[3], v[2]) * (x1 - x0), y: y1};
+                    default: return {x: x0, y: y0 + lerp(v[0], v[3]) * (y1 - y0)};
+                }
+            };
+            pairs.forEach(([a, b]) => segments.push([edgePoint(a), edgePoint(b)]));
+        }
+    }
+    return segments;
+}
+
+/**
+ * Pick evenly spaced contour levels, ignoring the extreme 2% of values at
+ * each end so a pole doesn't squeeze every curve into one spot.
+ * @param {number[][]} grid - Sampled values (NaN allowed)
+ * @param {number} count - Number of levels
+ * @returns {number[]} - Sorted levels (empty if nothing is defined)
+ */
+function chooseContourLevels(grid, count) {
+    const values = grid.flat().filter(Number.isFinite).sort((a, b) => a - b);
+    if (values.length === 0) return [];
+
+    const lo = values[Math.floor(values.length * 0.02)];
+    const hi = values[Math.ceil(values.length * 0.98) - 1];
+    if (hi - lo < 1e-12) return [lo];
+
+    const levels = [];
+    for (let k = 0; k < count; k++) {
+        levels.push(lo + (hi - lo) * (k + 0.5) / count);
+    }
+    return levels;
+}
+
+// Blue (low) -> green -> yellow (high), t in [0, 1]
+function contourColor(t) {
+    const stops = [[0, 217, 255], [78, 204, 163], [255, 230, 109]];
+    const s = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+    const k = Math.min(Math.floor(s), stops.length - 2);
+    const f = s - k;
+    const c = stops[k].map((a, n) => Math.round(a + (stops[k + 1][n] - a) * f));
+    return `rgb(${c[0]}, ${c[1]}, ${c[2]})`;
+}
+
+class ContourPlot {
+    /**
+     * @param {string} canvasId - ID of the canvas to draw on
+     * @param {Object} options - Overrides for CONTOUR_PLOT_DEFAULTS
+     */
+    constructor(canvasId, options = {}) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+        this.options = Object.assign({}, CONTOUR_PLOT_DEFAULTS, options);
+        this.showGradient = this.options.showGradient;
+
+        this.f = null;
+        this.gradient = null;
+        this.grid = null;
+        this.levels = [];
+        this.point = null;
+        this.markers = [];
+        this.paths = [];
+
+        this.canvas.addEventListener('click', (e) => {
+            if (!this.options.onPointSelect) return;
+            const rect = this.canvas.getBoundingClientRect();
+            // Canvas may be scaled by CSS
+            const cx = (e.clientX - rect.left) * this.canvas.width / rect.width;
+            const cy = (e.clientY - rect.top) * this.canvas.height / rect.height;
+            const {x, y} = this.toMath(cx, cy);
+            const [xMin, xMax] = this.options.xRange;
+            const [yMin, yMax] = this.options.yRange;
+            if (x < xMin || x > xMax || y < yMin || y > yMax) return;
+            this.options.onPointSelect(x, y);
+        });
+    }
+
+    /**
+     * Set the function to plot.
+     * @param {Function} f - (x, y) => z; may return NaN/Infinity where undefined
+     * @param {Function} gradient - (x, y) => [fx, fy]; central differences if omitted
+     */
+    setFunction(f, gradient = null) {
+        this.f = f;
+        this.gradient = gradient || ((x, y) => {
+            const h = 1e-5;
+            return [(f(x + h, y) - f(x - h, y)) / (2 * h), (f(x, y + h) - f(x, y - h)) / (2 * h)];
+        });
+        this.sample();
+        this.render();
+    }
+
+    // Change the plotted window, e.g. after the extrema analyzer picks a domain
+    setRange(xMin, xMax, yMin, yMax) {
+        this.options.xRange = [xMin, xMax];
+        this.options.yRange = [yMin, yMax];
+        if (this.f) this.sample();
+        this.render();
+    }
+
+    // Highlighted point, drawn with its gradient arrow
+    setPoint(x, y) {
+        this.point = {x, y};
+        this.render();
+    }
+
+    /**
+     * Extra dots, e.g. critical points.
+     * @param {Array<{x: number, y: number, color: string, label?: string}>} markers
+     */
+    setMarkers(markers) {
+        this.markers = markers;
+        this.render();
+    }
+
+    /**
+     * Polylines in the domain, e.g. a parametric curve or an optimizer's path.
+     * @param {Array<{points: Array<{x: number, y: number}>, color: string}>} paths
+     */
+    setPaths(paths) {
+        this.paths = paths;
+        this.render();
+    }
+
+    toggleGradient() {
+        this.showGradient = !this.showGradient;
+        this.render();
+        return this.showGradient;
+    }
+
+    // Sample f on the grid and choose levels
+    sample() {
+        const {resolution, levels} = this.options;
+        const [xMin, xMax] = this.options.xRange;
+        const [yMin, yMax] = this.options.yRange;
+        this.xs = [];
+        this.ys = [];
+        for (let k = 0; k <= resolution; k++) {
+            this.xs.push(xMin + (xMax - xMin) * k / resolution);
+            this.ys.push(yMin + (yMax - yMin) * k / resolution);
+        }
+        this.grid = this.xs.map(x => this.ys.map(y => this.f(x, y)));
+        this.levels = Array.isArray(levels) ? levels.slice().sort((a, b) => a - b)
+            : chooseContourLevels(this.grid, levels);
+    }
+
+    toCanvas(x, y) {
+        const pad = this.options.padding;
+        const [xMin, xMax] = this.options.xRange;
+        const [yMin, yMax] = this.options.yRange;
+        return {
+            x: pad + (x - xMin) / (xMax - xMin) * (this.canvas.width - 2 * pad),
+            y: this.canvas.height - pad - (y - yMin) / (yMax - yMin) * (this.canvas.height - 2 * pad)
+        };
+    }
+
+    toMath(cx, cy) {
+        const pad = this.options.padding;
+        const [xMin, xMax] = this.options.xRange;
+        const [yMin, yMax] = this.options.yRange;
+        return {
+            x: xMin + (cx - pad) / (this.canvas.width - 2 * pad) * (xMax - xMin),
+            y: yMin + (this.canvas.height - pad - cy) / (this.canvas.height - 2 * pad) * (yMax - yMin)
+        };
+    }
+
+    drawFrame() {
+        const ctx = this.ctx;
+        const pad = this.options.padding;
+        const [xMin, xMax] = this.options.xRange;
+        const [yMin, yMax] = this.options.yRange;
+        const w = this.canvas.width - 2 * pad;
+        const h = this.canvas.height - 2 * pad;
+
+        ctx.strokeStyle = '#4a5568';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(pad, pad, w, h);
+
+        // Axes through the origin when it is in view
+        ctx.strokeStyle = 'rgba(170, 170, 170, 0.4)';
+        ctx.beginPath();
+        if (xMin < 0 && xMax > 0) {
+            const p = this.toCanvas(0, 0);
+            ctx.moveTo(p.x, pad);
+            ctx.lineTo(p.x, pad + h);
+        }
+        if (yMin < 0 && yMax > 0) {
+            const p = this.toCanvas(0, 0);
+            ctx.moveTo(pad, p.y);
+            ctx.lineTo(pad + w, p.y);
+        }
+        ctx.stroke();
+
+        ctx.fillStyle = '#aaa';
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(xMin.toFixed(1), pad, pad + h + 5);
+        ctx.fillText(xMax.toFixed(1), pad + w, pad + h + 5);
+        ctx.fillText('x', pad + w / 2, pad + h + 5);
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(yMin.toFixed(1), pad - 4, pad + h);
+        ctx.fillText(yMax.toFixed(1), pad - 4, pad);
+        ctx.fillText('y', pad - 4, pad + h / 2);
+    }
+
+    drawContours() {
+        const ctx = this.ctx;
+        ctx.lineWidth = 1.5;
+        this.levels.forEach((level, k) => {
+            const segments = contourSegments(this.grid, this.xs, this.ys, level);
+            ctx.strokeStyle = contourColor(this.levels.length > 1 ? k / (this.levels.length - 1) : 0.5);
+            ctx.beginPath();
+            segments.forEach(([a, b]) => {
+                const p = this.toCanvas(a.x, a.y);
+                const q = this.toCanvas(b.x, b.y);
+                ctx.moveTo(p.x, p.y);
+                ctx.lineTo(q.x, q.y);
+            });
+            ctx.stroke();
+        });
+    }
+
+    drawArrow(x1, y1, x2, y2, color, width, head) {
+        const ctx = this.ctx;
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.moveTo(x2, y2);
+        ctx.lineTo(x2 - head * Math.cos(angle - Math.PI / 6), y2 - head * Math.sin(angle - Math.PI / 6));
+        ctx.moveTo(x2, y2);
+        ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 6), y2 - head * Math.sin(angle + Math.PI / 6));
+        ctx.stroke();
+    }
+
+    // ∇f arrows on a coarse grid, scaled so the longest fills one cell
+    drawGradientField() {
+        const n = this.options.quiverCount;
+        const [xMin, xMax] = this.options.xRange;
+        const [yMin, yMax] = this.options.yRange;
+        const arrows = [];
+        let maxLength = 0;
+
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                const x = xMin + (xMax - xMin) * (i + 0.5) / n;
+                const y = yMin + (yMax - yMin) * (j + 0.5) / n;
+                const [gx, gy] = this.gradient(x, y);
+                if (!Number.isFinite(gx) || !Number.isFinite(gy)) continue;
+                const p = this.toCanvas(x, y);
+                // Screen direction: canvas y points down
+                const sx = gx / (xMax - xMin);
+                const sy = -gy / (yMax - yMin);
+                const length = Math.hypot(sx, sy);
+                maxLength = Math.max(maxLength, length);
+                arrows.push({p, sx, sy, length});
+            }
+        }
+        if (maxLength === 0) return;
+
+        const cell = 0.85 * (this.canvas.width - 2 * this.options.padding) / n;
+        arrows.forEach(({p, sx, sy, length}) => {
+            if (length < 1e-9) return;
+            // sqrt scaling keeps small gradients visible next to steep ones
+            const len = cell * Math.sqrt(length / maxLength);
+            this.drawArrow(p.x, p.y, p.x + sx / length * len, p.y + sy / length * len,
+                'rgba(255, 157, 118, 0.7)', 1.2, 4);
+        });
+    }
+
+    drawOverlays() {
+        const ctx = this.ctx;
+
+        this.paths.forEach(path => {
+            ctx.strokeStyle = path.color;
+            ctx.lineWidth = 2.5;
+            ctx.beginPath();
+            let first = true;
+            path.points.forEach(pt => {
+                if (!Number.isFinite(pt.x) || !Number.isFinite(pt.y)) {
+                    first = true;
+                    return;
+                }
+                const p = this.toCanvas(pt.x, pt.y);
+                if (first) ctx.moveTo(p.x, p.y);
+                else ctx.lineTo(p.x, p.y);
+                first = false;
+            });
+            ctx.stroke();
+        });
+
+        this.markers.forEach(m => {
+            const p = this.toCanvas(m.x, m.y);
+            ctx.fillStyle = m.color;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 5, 0, 2 * Math.PI);
+            ctx.fill();
+            if (m.label) {
+                ctx.font = '11px Arial';
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'bottom';
+                ctx.fillText(m.label, p.x + 6, p.y - 4);
+            }
+        });
+
+        if (this.point) {
+            const p = this.toCanvas(this.point.x, this.point.y);
+            const [gx, gy] = this.gradient ? this.gradient(this.point.x, this.point.y) : [NaN, NaN];
+            const length = Math.hypot(gx, gy);
+            if (Number.isFinite(length) && length > 1e-9) {
+                const [xMin, xMax] = this.options.xRange;
+                const [yMin, yMax] = this.options.yRange;
+                const sx = gx / (xMax - xMin);
+                const sy = -gy / (yMax - yMin);
+                const s = 40 / Math.hypot(sx, sy);
+                this.drawArrow(p.x, p.y, p.x + sx * s, p.y + sy * s, '#00d9ff', 2.5, 8);
+            }
+            ctx.fillStyle = '#e94560';
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 6, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.stroke();
+        }
+    }
+
+    render() {
+        const ctx = this.ctx;
+        ctx.fillStyle = this.options.background;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.drawFrame();
+        if (!this.f) return;
+
+        // Clip so arrows and paths stay inside the frame
+        const pad = this.options.padding;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(pad, pad, this.canvas.width - 2 * pad, this.canvas.height - 2 * pad);
+        ctx.clip();
+        this.drawContours();
+        if (this.showGradient) this.drawGradientField();
+        this.drawOverlays();
+        ctx.restore();
+    }
+}
+
+// Export for use in modules or direct script inclusion
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ContourPlot, contourSegments, chooseContourLevels, CONTOUR_PLOT_DEFAULTS };
+}
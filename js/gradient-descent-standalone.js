@@ -1,18 +1,49 @@
 /**
  * GradientDescentViz - Standalone Gradient Descent Visualization
  * 
- * A self-contained visualization of gradient descent for linear regression.
- * Shows parameter space, data view, and 3D error surface.
+ * A self-contained visualization of gradient descent fitting a model to data
+ * (linear, polynomial or logistic regression, or a sigmoid neuron) under a
+ * choice of loss. Shows parameter space, data view, and 3D error surface;
+ * with more than two parameters both show a 2D slice through two of them.
+ * The error surface is drawn by SurfacePlot, the models and losses come from
+ * MODELS/LOSSES and the optimizers compared alongside plain gradient descent
+ * from OPTIMIZERS; Newton steps solve with js/linear-algebra.js. Load
+ * js/surface-plot.js, js/linear-algebra.js, js/models.js and
+ * js/optimizers.js first.
  * 
  * @example
  * const container = document.getElementById('viz-container');
  * const viz = new GradientDescentViz(container, {
  *   width: 1300,
  *   height: 750,
- *   learningRate: 0.01
+ *   model: 'logistic',                 // see MODELS; loss defaults to the model's first
+ *   loss: 'crossEntropy',
+ *   optimizers: ['momentum', 'adam'],  // also run these from the same start
+ *   batchSize: 5,                      // mini-batches (1 = stochastic, omit for full batch)
+ *   schedule: 'cosine',                // learning-rate schedule, see LR_SCHEDULES
+ *   stepRule: 'armijo'                 // how far each step goes, see STEP_RULES
  * });
  */
 
+// Learning-rate schedules: multiplier on α at iteration t (0-based)
+const LR_SCHEDULES = {
+    constant: { label: 'Constant', factor: t => 1 },
+    step: { label: 'Step decay (halve every 20)', factor: t => Math.pow(0.5, Math.floor(t / 20)) },
+    inverse: { label: '1/t decay', factor: t => 1 / (1 + t / 10) },
+    cosine: { label: 'Cosine (to 0 at t = 100)', factor: t => 0.5 * (1 + Math.cos(Math.PI * Math.min(t, 100) / 100)) }
+};
+
+// Step rules for plain gradient descent. Only 'fixed' uses α and its
+// schedule; the others pick the step length (and, for Newton and conjugate
+// gradient, the direction) from the loss itself. See proposeStep.
+const STEP_RULES = {
+    fixed: { label: 'Fixed α' },
+    armijo: { label: 'Backtracking (Armijo)' },
+    exact: { label: 'Exact line search' },
+    newton: { label: "Newton's method" },
+    cg: { label: 'Conjugate gradient' }
+};
+
 class GradientDescentViz {
     constructor(containerElement, options = {}) {
         this.container = containerElement;
@@ -21,22 +52,70 @@ class GradientDescentViz {
         this.options = {
             width: options.width || 1300,
             height: options.height || 750,
-            learningRate: options.learningRate || 0.01,
+            model: options.model || 'linear',
+            loss: options.loss || null,
+            learningRate: options.learningRate || MODELS[options.model || 'linear'].learningRate,
             numDataPoints: options.numDataPoints || 20,
             backgroundColor: options.backgroundColor || '#0a0e27',
-            showControls: options.showControls !== false
+            showControls: options.showControls !== false,
+            optimizers: options.optimizers || [],
+            batchSize: options.batchSize || null,
+            schedule: options.schedule || 'constant',
+            stepRule: options.stepRule || 'fixed'
         };
         
         // State
         this.dataPoints = [];
-        this.m0 = 0;
-        this.m1 = 1;
+        
+        // Model and loss being fitted. The parameter view and error surface
+        // show the slice through params[axes[0]] and params[axes[1]], with
+        // any other parameters held at their current values.
+        this.model = this.options.model;
+        this.loss = this.options.loss || MODELS[this.model].losses[0];
+        this.params = MODELS[this.model].initial.slice();
+        this.axes = [0, 1];
+        this.sliceCache = null;
         this.learningRate = this.options.learningRate;
         this.path = [];
         this.isMouseDown = false;
         this.currentView = 'data';
         this.pathHistory = [];
         
+        // Mini-batches: batchSize null = full batch, 1 = stochastic. Each epoch
+        // walks a fresh shuffle of the points; this.batch holds the indices the
+        // next step will use, batchHistory the ones every past step used.
+        this.batchSize = this.options.batchSize;
+        this.schedule = this.options.schedule;
+        this.epochOrder = [];
+        this.batchCursor = 0;
+        this.pointsSeen = 0;
+        this.batch = [];
+        this.batchHistory = [];
+        
+        // Full loss after each iteration, and the mini-batch loss the step saw
+        this.lossHistory = [];
+        
+        // Step rule, the last step's line search (start, direction and trial
+        // points, drawn in parameter space) and, for conjugate gradient, the
+        // previous gradient and direction
+        this.stepRule = this.options.stepRule;
+        this.lastSearch = null;
+        this.conjugate = null;
+        
+        // Other optimizers, each stepping from the start of pathHistory in
+        // lockstep with plain gradient descent (see setOptimizer)
+        this.runs = {};
+        Object.keys(OPTIMIZERS).filter(name => name !== 'gd').forEach(name => {
+            this.runs[name] = {
+                name,
+                enabled: this.options.optimizers.includes(name),
+                hyper: optimizerDefaults(name),
+                params: this.params.slice(),
+                state: {},
+                path: []
+            };
+        });
+        
         // Initialize
         this.init();
     }
@@ -45,7 +124,7 @@ class GradientDescentViz {
         // Create main container structure
         this.createHTML();
         this.setupCanvases();
-        this.setupThree();
+        this.setupSurface();
         this.setupEventListeners();
         this.generateData();
         this.draw();
@@ -152,7 +231,24 @@ class GradientDescentViz {
                     font-size: 16px;
                     font-weight: bold;
                 }
-                #gd-three-container {
+                .gd-viz-optimizer {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    background: #0a0e27;
+                    padding: 6px 10px;
+                    border-radius: 6px;
+                    font-size: 13px;
+                }
+                .gd-viz-optimizer input[type="number"] {
+                    width: 64px;
+                    background: #16213e;
+                    color: #e0e0e0;
+                    border: 1px solid #3a4a6b;
+                    border-radius: 4px;
+                    padding: 2px 4px;
+                }
+                #gd-surface-canvas {
                     border: 2px solid #3a4a6b;
                     border-radius: 8px;
                     overflow: hidden;
@@ -163,7 +259,7 @@ class GradientDescentViz {
             <div class="gd-viz-container">
                 ${this.options.showControls ? `
                 <div class="gd-viz-header">
-                    <h2>Gradient Descent for Linear Regression</h2>
+                    <h2 id="gd-title">Gradient Descent for ${MODELS[this.model].name}</h2>
                     <p style="color: #aaa;">Drag the red point in parameter space to set initial values. Adjust learning rate and take steps.</p>
                 </div>
                 ` : ''}
@@ -173,17 +269,26 @@ class GradientDescentViz {
                         <div class="gd-viz-canvas-container">
                             <canvas id="gd-param-canvas" width="600" height="600"></canvas>
                         </div>
-                        <div class="gd-viz-canvas-label">Parameter Space (m_0, m_1)</div>
+                        <div class="gd-viz-canvas-label" id="gd-param-label">${this.sliceLabel()}</div>
                     </div>
                     <div>
                         <div class="gd-viz-canvas-container" id="gd-right-container">
                             <canvas id="gd-data-canvas" width="600" height="600"></canvas>
-                            <div id="gd-three-container" style="display: none; width: 600px; height: 600px;"></div>
+                            <canvas id="gd-surface-canvas" width="600" height="600" style="display: none;"></canvas>
                         </div>
                         <div class="gd-viz-canvas-label" id="gd-right-label">Data & Fit</div>
                     </div>
                 </div>
                 
+                <div class="gd-viz-canvas-row">
+                    <div>
+                        <div class="gd-viz-canvas-container">
+                            <canvas id="gd-loss-canvas" width="1215" height="180"></canvas>
+                        </div>
+                        <div class="gd-viz-canvas-label">Loss vs Iteration</div>
+                    </div>
+                </div>
+                
                 ${this.options.showControls ? `
                 <div class="gd-viz-controls">
                     <div class="gd-viz-control-group">
@@ -203,23 +308,75 @@ class GradientDescentViz {
                         <button id="gd-toggle-view" class="gd-viz-button">Toggle: Data / Error Surface</button>
                     </div>
                     
+                    <div class="gd-viz-control-group">
+                        <span class="gd-viz-label">Model:</span>
+                        <select id="gd-model">
+                            ${Object.entries(MODELS).map(([name, model]) =>
+                                `<option value="${name}" ${name === this.model ? 'selected' : ''}>${model.name}: ${model.formula}</option>`).join('')}
+                        </select>
+                        
+                        <span class="gd-viz-label">Loss:</span>
+                        <select id="gd-loss"></select>
+                        
+                        <span id="gd-slice-controls">
+                            <span class="gd-viz-label">Slice:</span>
+                            <select id="gd-axis-x"></select> vs <select id="gd-axis-y"></select>
+                        </span>
+                    </div>
+                    
+                    <div class="gd-viz-control-group">
+                        <span class="gd-viz-label">Batch:</span>
+                        <select id="gd-batch-mode">
+                            <option value="full" ${!this.batchSize ? 'selected' : ''}>Full batch</option>
+                            <option value="mini" ${this.batchSize > 1 ? 'selected' : ''}>Mini-batch</option>
+                            <option value="sgd" ${this.batchSize === 1 ? 'selected' : ''}>Stochastic (1 point)</option>
+                        </select>
+                        <label>size <input type="number" id="gd-batch-size" min="1" max="${this.options.numDataPoints}" value="${this.batchSize > 1 ? this.batchSize : 5}" style="width: 60px;"></label>
+                        
+                        <span class="gd-viz-label">Schedule:</span>
+                        <select id="gd-schedule">
+                            ${Object.entries(LR_SCHEDULES).map(([name, schedule]) =>
+                                `<option value="${name}" ${name === this.schedule ? 'selected' : ''}>${schedule.label}</option>`).join('')}
+                        </select>
+                        <span>α<sub>t</sub> = <span id="gd-lr-effective" style="color: #f9d423; font-weight: bold;"></span></span>
+                    </div>
+                    
+                    <div class="gd-viz-control-group">
+                        <span class="gd-viz-label">Step rule:</span>
+                        <select id="gd-step-rule">
+                            ${Object.entries(STEP_RULES).map(([name, rule]) =>
+                                `<option value="${name}" ${name === this.stepRule ? 'selected' : ''}>${rule.label}</option>`).join('')}
+                        </select>
+                        <span id="gd-step-info"></span>
+                    </div>
+                    
+                    <div class="gd-viz-control-group">
+                        <span class="gd-viz-label">Compare:</span>
+                        ${Object.values(this.runs).map(run => {
+                            const optimizer = OPTIMIZERS[run.name];
+                            return `
+                        <div class="gd-viz-optimizer" style="border-left: 4px solid ${optimizer.color};">
+                            <label><input type="checkbox" class="gd-opt-toggle" data-optimizer="${run.name}" ${run.enabled ? 'checked' : ''}> ${optimizer.name}</label>
+                            ${optimizer.hyperparameters.map(h => `
+                            <label>${h.label} <input type="number" class="gd-opt-hyper" data-optimizer="${run.name}" data-key="${h.key}" value="${run.hyper[h.key]}" step="${h.step}"></label>`).join('')}
+                        </div>`;
+                        }).join('')}
+                    </div>
+                    
                     <div class="gd-viz-info">
+                        <div id="gd-param-items" style="display: contents;"></div>
                         <div class="gd-viz-info-item">
-                            <div class="gd-viz-info-label">m_0 (intercept)</div>
-                            <div class="gd-viz-info-value" id="gd-m0-value">${this.m0.toFixed(4)}</div>
-                        </div>
-                        <div class="gd-viz-info-item">
-                            <div class="gd-viz-info-label">m_1 (slope)</div>
-                            <div class="gd-viz-info-value" id="gd-m1-value">${this.m1.toFixed(4)}</div>
-                        </div>
-                        <div class="gd-viz-info-item">
-                            <div class="gd-viz-info-label">Error (MSE)</div>
-                            <div class="gd-viz-info-value" id="gd-error-value">${this.calculateLoss(this.m0, this.m1).toFixed(4)}</div>
+                            <div class="gd-viz-info-label" id="gd-error-label">Error (${LOSSES[this.loss].name})</div>
+                            <div class="gd-viz-info-value" id="gd-error-value"></div>
                         </div>
                         <div class="gd-viz-info-item">
                             <div class="gd-viz-info-label">Steps taken</div>
                             <div class="gd-viz-info-value" id="gd-steps-value">0</div>
                         </div>
+                        <div class="gd-viz-info-item">
+                            <div class="gd-viz-info-label">Epoch</div>
+                            <div class="gd-viz-info-value" id="gd-epoch-value">0</div>
+                        </div>
                     </div>
                 </div>
                 ` : ''}
@@ -232,174 +389,45 @@ class GradientDescentViz {
         this.dataCanvas = document.getElementById('gd-data-canvas');
         this.paramCtx = this.paramCanvas.getContext('2d');
         this.dataCtx = this.dataCanvas.getContext('2d');
+        this.lossCanvas = document.getElementById('gd-loss-canvas');
+        this.lossCtx = this.lossCanvas.getContext('2d');
     }
     
-    setupThree() {
-        // Import Three.js if not already loaded
-        if (typeof THREE === 'undefined') {
-            const script = document.createElement('script');
-            script.src = 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js';
-            script.onload = () => this.initThree();
-            document.head.appendChild(script);
-        } else {
-            this.initThree();
-        }
+    setupSurface() {
+        this.surfacePlot = new SurfacePlot('gd-surface-canvas', {
+            resolution: 50,
+            background: '#0a0e27'
+        });
+        this.surfaceData = null;
+        this.surfaceKey = null;
     }
     
-    initThree() {
-        const container = document.getElementById('gd-three-container');
-        
-        this.scene = new THREE.Scene();
-        this.scene.background = new THREE.Color(0x0a0e27);
-        
-        this.camera = new THREE.PerspectiveCamera(45, 1, 0.1, 1000);
-        this.camera.position.set(8, 12, 8);
-        this.camera.lookAt(0, 0, 0);
-        
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
-        this.renderer.setSize(600, 600);
-        container.appendChild(this.renderer.domElement);
-        
-        // Lighting
-        const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
-        this.scene.add(ambientLight);
-        
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-        directionalLight.position.set(5, 10, 5);
-        this.scene.add(directionalLight);
-        
-        // Create loss surface
-        this.createLossSurface();
-        
-        // Current point marker
-        const markerGeom = new THREE.SphereGeometry(0.15, 16, 16);
-        const markerMat = new THREE.MeshBasicMaterial({ color: 0xe94560 });
-        this.currentMarker = new THREE.Mesh(markerGeom, markerMat);
-        this.scene.add(this.currentMarker);
-        
-        // Path line
-        this.pathLineMaterial = new THREE.LineBasicMaterial({ color: 0x4ecca3, linewidth: 2 });
-        this.pathLineGeometry = new THREE.BufferGeometry();
-        this.pathLine = new THREE.Line(this.pathLineGeometry, this.pathLineMaterial);
-        this.scene.add(this.pathLine);
-        
-        // Mouse controls for rotation
-        this.isRotating = false;
-        this.lastMouseX = 0;
-        this.lastMouseY = 0;
-        this.rotationX = 0;
-        this.rotationY = 0;
+    setupEventListeners() {
+        if (!this.options.showControls) return;
         
-        this.renderer.domElement.addEventListener('mousedown', (e) => {
-            this.isRotating = true;
-            this.lastMouseX = e.clientX;
-            this.lastMouseY = e.clientY;
-        });
+        this.updateModelControls();
         
-        this.renderer.domElement.addEventListener('mousemove', (e) => {
-            if (this.isRotating) {
-                const deltaX = e.clientX - this.lastMouseX;
-                const deltaY = e.clientY - this.lastMouseY;
-                this.rotationY += deltaX * 0.01;
-                this.rotationX += deltaY * 0.01;
-                this.rotationX = Math.max(-Math.PI/2, Math.min(Math.PI/2, this.rotationX));
-                this.updateCameraPosition();
-                this.lastMouseX = e.clientX;
-                this.lastMouseY = e.clientY;
-            }
+        document.getElementById('gd-model').addEventListener('change', (e) => {
+            this.setModel(e.target.value);
         });
         
-        this.renderer.domElement.addEventListener('mouseup', () => {
-            this.isRotating = false;
+        document.getElementById('gd-loss').addEventListener('change', (e) => {
+            this.setLoss(e.target.value);
         });
         
-        this.renderer.domElement.addEventListener('mouseleave', () => {
-            this.isRotating = false;
-        });
-        
-        this.updateThreeScene();
-    }
-    
-    createLossSurface() {
-        const resolution = 50;
-        const geometry = new THREE.BufferGeometry();
-        const vertices = [];
-        const indices = [];
-        const colors = [];
-        
-        const m0Range = 6;
-        const m1Range = 6;
-        
-        let minLoss = Infinity;
-        let maxLoss = -Infinity;
-        const lossValues = [];
-        
-        for (let i = 0; i <= resolution; i++) {
-            for (let j = 0; j <= resolution; j++) {
-                const m0 = (i / resolution - 0.5) * m0Range;
-                const m1 = (j / resolution - 0.5) * m1Range;
-                const loss = this.calculateLoss(m0, m1);
-                lossValues.push(loss);
-                minLoss = Math.min(minLoss, loss);
-                maxLoss = Math.max(maxLoss, loss);
+        const axisX = document.getElementById('gd-axis-x');
+        const axisY = document.getElementById('gd-axis-y');
+        const applyAxes = (changed) => {
+            // Picking the parameter already on the other axis swaps them
+            let [i, j] = [parseInt(axisX.value, 10), parseInt(axisY.value, 10)];
+            if (i === j) {
+                if (changed === axisX) j = this.axes[0];
+                else i = this.axes[1];
             }
-        }
-        
-        for (let i = 0; i <= resolution; i++) {
-            for (let j = 0; j <= resolution; j++) {
-                const m0 = (i / resolution - 0.5) * m0Range;
-                const m1 = (j / resolution - 0.5) * m1Range;
-                const loss = lossValues[i * (resolution + 1) + j];
-                const normalizedLoss = (loss - minLoss) / (maxLoss - minLoss);
-                const height = normalizedLoss * 3;
-                
-                vertices.push(m0, height, m1);
-                
-                const color = new THREE.Color();
-                color.setHSL(0.6 - normalizedLoss * 0.6, 0.8, 0.5);
-                colors.push(color.r, color.g, color.b);
-            }
-        }
-        
-        for (let i = 0; i < resolution; i++) {
-            for (let j = 0; j < resolution; j++) {
-                const a = i * (resolution + 1) + j;
-                const b = a + 1;
-                const c = a + resolution + 1;
-                const d = c + 1;
-                
-                indices.push(a, b, c);
-                indices.push(b, d, c);
-            }
-        }
-        
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-        geometry.setIndex(indices);
-        geometry.computeVertexNormals();
-        
-        const material = new THREE.MeshPhongMaterial({
-            vertexColors: true,
-            side: THREE.DoubleSide,
-            shininess: 30,
-            transparent: true,
-            opacity: 0.9
-        });
-        
-        this.lossSurface = new THREE.Mesh(geometry, material);
-        this.scene.add(this.lossSurface);
-    }
-    
-    updateCameraPosition() {
-        const radius = 15;
-        this.camera.position.x = radius * Math.cos(this.rotationX) * Math.sin(this.rotationY);
-        this.camera.position.y = radius * Math.sin(this.rotationX) + 8;
-        this.camera.position.z = radius * Math.cos(this.rotationX) * Math.cos(this.rotationY);
-        this.camera.lookAt(0, 1.5, 0);
-    }
-    
-    setupEventListeners() {
-        if (!this.options.showControls) return;
+            this.setSliceAxes(i, j);
+        };
+        axisX.addEventListener('change', () => applyAxes(axisX));
+        axisY.addEventListener('change', () => applyAxes(axisY));
         
         document.getElementById('gd-learning-rate').addEventListener('input', (e) => {
             this.learningRate = parseFloat(e.target.value);
@@ -419,15 +447,12 @@ class GradientDescentViz {
         });
         
         document.getElementById('gd-reset-path').addEventListener('click', () => {
-            this.pathHistory = [[this.m0, this.m1]];
+            this.restartPath();
             this.draw();
         });
         
         document.getElementById('gd-reset-pos').addEventListener('click', () => {
-            this.m0 = Math.random() * 4 - 2;
-            this.m1 = Math.random() * 4 - 2;
-            this.pathHistory = [[this.m0, this.m1]];
-            this.draw();
+            this.reset();
         });
         
         document.getElementById('gd-new-data').addEventListener('click', () => {
@@ -435,20 +460,52 @@ class GradientDescentViz {
             this.draw();
         });
         
+        const batchMode = document.getElementById('gd-batch-mode');
+        const batchSizeInput = document.getElementById('gd-batch-size');
+        const applyBatchMode = () => {
+            const size = Math.max(1, parseInt(batchSizeInput.value, 10) || 1);
+            this.setBatchSize({ full: null, mini: size, sgd: 1 }[batchMode.value]);
+        };
+        batchMode.addEventListener('change', applyBatchMode);
+        batchSizeInput.addEventListener('change', () => {
+            if (batchMode.value === 'mini') applyBatchMode();
+        });
+        
+        document.getElementById('gd-schedule').addEventListener('change', (e) => {
+            this.setSchedule(e.target.value);
+        });
+        
+        document.getElementById('gd-step-rule').addEventListener('change', (e) => {
+            this.setStepRule(e.target.value);
+        });
+        
+        this.container.querySelectorAll('.gd-opt-toggle').forEach(box => {
+            box.addEventListener('change', () => this.setOptimizer(box.dataset.optimizer, box.checked));
+        });
+        
+        this.container.querySelectorAll('.gd-opt-hyper').forEach(input => {
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (!Number.isFinite(value)) return;
+                const run = this.runs[input.dataset.optimizer];
+                this.setOptimizer(run.name, run.enabled, { [input.dataset.key]: value });
+            });
+        });
+        
         document.getElementById('gd-toggle-view').addEventListener('click', () => {
             this.currentView = this.currentView === 'data' ? 'surface' : 'data';
             const dataCanvas = document.getElementById('gd-data-canvas');
-            const threeContainer = document.getElementById('gd-three-container');
+            const surfaceCanvas = document.getElementById('gd-surface-canvas');
             const label = document.getElementById('gd-right-label');
             
             if (this.currentView === 'surface') {
                 dataCanvas.style.display = 'none';
-                threeContainer.style.display = 'block';
-                label.textContent = 'Error Surface E(m_0, m_1)';
-                this.updateThreeScene();
+                surfaceCanvas.style.display = 'block';
+                label.textContent = `Error Surface ${this.sliceLabel('E')}`;
+                this.updateSurface();
             } else {
                 dataCanvas.style.display = 'block';
-                threeContainer.style.display = 'none';
+                surfaceCanvas.style.display = 'none';
                 label.textContent = 'Data & Fit';
             }
         });
@@ -459,10 +516,11 @@ class GradientDescentViz {
             const x = e.clientX - rect.left;
             const y = e.clientY - rect.top;
             
-            const m0Screen = this.toScreenX(this.m0);
-            const m1Screen = this.toScreenY(this.m1);
+            const [ax, ay] = this.axes;
+            const pointX = this.toScreenX(this.params[ax]);
+            const pointY = this.toScreenY(this.params[ay]);
             
-            if (Math.abs(x - m0Screen) < 15 && Math.abs(y - m1Screen) < 15) {
+            if (Math.abs(x - pointX) < 15 && Math.abs(y - pointY) < 15) {
                 this.isMouseDown = true;
             }
         });
@@ -473,9 +531,9 @@ class GradientDescentViz {
                 const x = e.clientX - rect.left;
                 const y = e.clientY - rect.top;
                 
-                this.m0 = this.fromScreenX(x);
-                this.m1 = this.fromScreenY(y);
-                this.pathHistory = [[this.m0, this.m1]];
+                this.params[this.axes[0]] = this.fromScreenX(x);
+                this.params[this.axes[1]] = this.fromScreenY(y);
+                this.restartPath();
                 this.draw();
             }
         });
@@ -490,84 +548,269 @@ class GradientDescentViz {
     }
     
     generateData() {
-        const trueM0 = Math.random() * 4 - 2;
-        const trueM1 = Math.random() * 2 + 0.5;
-        const n = this.options.numDataPoints;
-        
-        this.dataPoints = [];
-        for (let i = 0; i < n; i++) {
-            const x = Math.random() * 10 - 5;
-            const noise = (Math.random() - 0.5) * 2;
-            const y = trueM0 + trueM1 * x + noise;
-            this.dataPoints.push({ x, y });
-        }
-        
-        this.pathHistory = [[this.m0, this.m1]];
+        this.dataPoints = MODELS[this.model].generate(this.options.numDataPoints);
+        this.restartPath();
     }
     
-    calculateLoss(m0, m1) {
-        let sum = 0;
-        for (const point of this.dataPoints) {
-            const pred = m0 + m1 * point.x;
-            const error = pred - point.y;
-            sum += error * error;
-        }
-        return sum / this.dataPoints.length;
+    calculateLoss(params, points = this.dataPoints) {
+        return modelLoss(MODELS[this.model], LOSSES[this.loss], params, points);
+    }
+    
+    // Gradient as an array, the form the OPTIMIZERS expect
+    calculateGradient(params, points = this.dataPoints) {
+        return modelGradient(MODELS[this.model], LOSSES[this.loss], params, points);
+    }
+    
+    calculateHessian(params, points = this.dataPoints) {
+        return modelHessian(MODELS[this.model], LOSSES[this.loss], params, points);
+    }
+    
+    // Quadratic loss: constant Hessian, so exact line search and Newton are exact
+    isQuadratic() {
+        return isQuadraticLoss(MODELS[this.model], LOSSES[this.loss]);
+    }
+    
+    // The current parameters with the two slice axes set to (u, v)
+    sliceParams(u, v) {
+        const params = this.params.slice();
+        params[this.axes[0]] = u;
+        params[this.axes[1]] = v;
+        return params;
+    }
+    
+    // e.g. "(m₀, m₁)", or "E(w, b | a = 2.00)" when other parameters are held fixed
+    sliceLabel(prefix = 'Parameter Space ') {
+        const model = MODELS[this.model];
+        const [ax, ay] = this.axes;
+        const fixed = model.params
+            .map((label, i) => i === ax || i === ay ? null : `${label} = ${this.params[i].toFixed(2)}`)
+            .filter(Boolean);
+        return `${prefix}(${model.params[ax]}, ${model.params[ay]}${fixed.length ? ' | ' + fixed.join(', ') : ''})`;
+    }
+    
+    // Learning-rate multiplier for iteration t under the current schedule
+    scheduleFactor(t) {
+        return LR_SCHEDULES[this.schedule].factor(t);
     }
     
-    calculateGradient(m0, m1) {
-        let gradM0 = 0;
-        let gradM1 = 0;
+    batchPoints(indices = this.batch) {
+        return indices.map(i => this.dataPoints[i]);
+    }
+    
+    // Pick the indices for the next step, reshuffling at each epoch boundary
+    takeBatch() {
         const n = this.dataPoints.length;
-        
-        for (const point of this.dataPoints) {
-            const pred = m0 + m1 * point.x;
-            const error = pred - point.y;
-            gradM0 += 2 * error;
-            gradM1 += 2 * error * point.x;
+        if (!this.batchSize || this.batchSize >= n) {
+            this.batch = this.dataPoints.map((_, i) => i);
+            return;
         }
-        
-        return {
-            gradM0: gradM0 / n,
-            gradM1: gradM1 / n
-        };
+        if (this.batchCursor >= n || this.epochOrder.length !== n) {
+            this.epochOrder = this.dataPoints.map((_, i) => i);
+            for (let i = n - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [this.epochOrder[i], this.epochOrder[j]] = [this.epochOrder[j], this.epochOrder[i]];
+            }
+            this.batchCursor = 0;
+        }
+        this.batch = this.epochOrder.slice(this.batchCursor, this.batchCursor + this.batchSize);
+        this.batchCursor += this.batchSize;
     }
     
     gradientDescentStep() {
-        const { gradM0, gradM1 } = this.calculateGradient(this.m0, this.m1);
-        this.m0 -= this.learningRate * gradM0;
-        this.m1 -= this.learningRate * gradM1;
-        this.pathHistory.push([this.m0, this.m1]);
+        const t = this.pathHistory.length - 1;
+        const points = this.batchPoints();
+        const batchLoss = this.calculateLoss(this.params, points);
+        
+        const search = this.proposeStep(points, t);
+        this.lastSearch = search;
+        if (search.conjugate) this.conjugate = search.conjugate;
+        this.params = search.next;
+        this.pathHistory.push(this.params.slice());
+        this.batchHistory.push(this.batch);
+        this.lossHistory.push({ full: this.calculateLoss(this.params), batch: batchLoss });
+        
+        Object.values(this.runs).forEach(run => this.stepRun(run, t));
+        
+        this.pointsSeen += points.length;
+        this.takeBatch();
+    }
+    
+    /**
+     * Work out the next plain gradient descent step under the current step
+     * rule, without taking it. Loss, gradient and Hessian all come from the
+     * given batch.
+     * @param {Array<{x: number, y: number}>} points - Batch the step uses
+     * @param {number} t - Iteration, for the learning-rate schedule
+     * @returns {{from: number[], next: number[], direction: number[], alpha: number,
+     *     trials: Array<{params: number[], accepted: boolean}>, note: string,
+     *     conjugate: Object|undefined}} - next = from + alpha·direction; trials
+     *     are the points a line search evaluated; conjugate is the state for
+     *     the following conjugate gradient step
+     */
+    proposeStep(points, t) {
+        const from = this.params.slice();
+        const grad = this.calculateGradient(from, points);
+        const downhill = grad.map(g => -g);
+        const dot = (a, b) => a.reduce((sum, ai, i) => sum + ai * b[i], 0);
+        const along = (direction, alpha) => from.map((p, i) => p + alpha * direction[i]);
+        const curvature = direction => {
+            const H = this.calculateHessian(from, points);
+            return dot(direction, H.map(row => dot(row, direction)));
+        };
+        const result = (direction, alpha, note = '', trials = [{ params: along(direction, alpha), accepted: true }]) =>
+            ({ from, next: along(direction, alpha), direction, alpha, trials, note });
+        // Off the quadratic loss the model-based step can overshoot badly: keep
+        // it only if E drops, else backtrack along the same direction (damped)
+        const safeguarded = (search, name) => {
+            if (this.isQuadratic() || this.calculateLoss(search.next, points) < this.calculateLoss(from, points)) {
+                return search;
+            }
+            const damped = this.backtrack(from, search.direction, grad, points,
+                [search.note, `${name} raised E; backtracked along it`].filter(Boolean).join('; '));
+            damped.trials = [{ params: search.next, accepted: false }].concat(damped.trials);
+            return damped;
+        };
         
-        if (this.currentView === 'surface') {
-            this.updateThreeScene();
+        switch (this.stepRule) {
+            case 'armijo':
+                return this.backtrack(from, downhill, grad, points);
+            
+            // Minimize along −∇E: for a quadratic E(θ − α∇E) is a parabola in α
+            // with its lowest point at α* = ∇E·∇E / ∇Eᵀ H ∇E
+            case 'exact': {
+                const gHg = curvature(downhill);
+                if (!(gHg > 0)) {
+                    return this.backtrack(from, downhill, grad, points, 'no upward curvature along −∇E; backtracked instead');
+                }
+                return safeguarded(result(downhill, dot(grad, grad) / gHg, this.isQuadratic() ? '' : 'α* from the local quadratic model'), 'α*');
+            }
+            
+            // Full step to the minimum of the local quadratic model: H d = −∇E
+            case 'newton': {
+                const direction = solveLinearSystem(this.calculateHessian(from, points), downhill);
+                if (!direction || !(dot(direction, grad) < 0)) {
+                    return this.backtrack(from, downhill, grad, points, 'Hessian not positive definite here; backtracked along −∇E');
+                }
+                return safeguarded(result(direction, 1), 'the full Newton step');
+            }
+            
+            // Polak–Ribière: d = −∇E + βd_prev, β = ∇E·(∇E − ∇E_prev) / |∇E_prev|²,
+            // clipped at 0 so a stalled direction restarts as steepest descent
+            case 'cg': {
+                let direction = downhill;
+                let note = '';
+                if (this.conjugate) {
+                    const { gradient: prev, direction: prevDirection } = this.conjugate;
+                    const beta = Math.max(0, dot(grad, grad.map((g, i) => g - prev[i])) / dot(prev, prev)) || 0;
+                    direction = downhill.map((d, i) => d + beta * prevDirection[i]);
+                    note = `β = ${beta.toFixed(3)}`;
+                    if (beta === 0 || !(dot(direction, grad) < 0)) {
+                        direction = downhill;
+                        note = 'β = 0: restarted along −∇E';
+                    }
+                }
+                const dHd = curvature(direction);
+                const search = dHd > 0
+                    ? safeguarded(result(direction, -dot(grad, direction) / dHd, note), 'the CG step')
+                    : this.backtrack(from, direction, grad, points, [note, 'no upward curvature, backtracked'].filter(Boolean).join('; '));
+                search.conjugate = { gradient: grad, direction };
+                return search;
+            }
+            
+            default:
+                return result(downhill, this.learningRate * this.scheduleFactor(t), '', []);
         }
     }
     
+    // Armijo backtracking: halve α from 1 until the loss drops by at least
+    // c·α·|∇E·d|, recording every trial point. Stays put if nothing works.
+    backtrack(from, direction, grad, points, note = '') {
+        const c = 1e-4;
+        const slope = grad.reduce((sum, g, i) => sum + g * direction[i], 0);
+        const start = this.calculateLoss(from, points);
+        const trials = [];
+        for (let alpha = 1, k = 0; k < 30; alpha /= 2, k++) {
+            const params = from.map((p, i) => p + alpha * direction[i]);
+            const accepted = this.calculateLoss(params, points) <= start + c * alpha * slope;
+            trials.push({ params, accepted });
+            if (accepted) return { from, next: params, direction, alpha, trials, note };
+        }
+        return { from, next: from.slice(), direction, alpha: 0, trials, note: note || 'no decrease found' };
+    }
+    
+    // Step one optimizer with the batch and learning-rate schedule that
+    // plain gradient descent used at iteration t
+    stepRun(run, t) {
+        // A run that has blown up stays where it left the chart
+        if (!run.enabled || !run.params.every(p => Math.abs(p) < 1e6)) return;
+        const points = this.batchPoints(this.batchHistory[t]);
+        const hyper = Object.assign({}, run.hyper, { learningRate: run.hyper.learningRate * this.scheduleFactor(t) });
+        run.params = OPTIMIZERS[run.name].step(run.params, p => this.calculateGradient(p, points), run.state, hyper);
+        run.path.push(run.params);
+    }
+    
+    // Restart one optimizer at the shared start point and catch it up to the
+    // number of steps plain gradient descent has taken
+    replayRun(run) {
+        run.params = this.pathHistory[0].slice();
+        run.state = {};
+        run.path = [run.params];
+        for (let t = 0; t < this.batchHistory.length; t++) {
+            this.stepRun(run, t);
+        }
+    }
+    
+    // Start every path afresh from the current point, at epoch 0
+    restartPath() {
+        this.pathHistory = [this.params.slice()];
+        this.batchHistory = [];
+        this.lossHistory = [{ full: this.calculateLoss(this.params), batch: null }];
+        this.epochOrder = [];
+        this.batchCursor = 0;
+        this.pointsSeen = 0;
+        this.lastSearch = null;
+        this.conjugate = null;
+        this.takeBatch();
+        Object.values(this.runs).forEach(run => this.replayRun(run));
+    }
+    
+    enabledRuns() {
+        return Object.values(this.runs).filter(run => run.enabled);
+    }
+    
     draw() {
         this.drawParamSpace();
         if (this.currentView === 'data') {
             this.drawDataView();
+        } else {
+            this.updateSurface();
         }
+        this.drawLossCurve();
         this.updateInfo();
     }
     
     drawParamSpace() {
         const ctx = this.paramCtx;
         const canvas = this.paramCanvas;
+        const [ax, ay] = this.axes;
+        const [xMin, xMax] = MODELS[this.model].ranges[ax];
+        const [yMin, yMax] = MODELS[this.model].ranges[ay];
         
         ctx.fillStyle = '#0a0e27';
         ctx.fillRect(0, 0, canvas.width, canvas.height);
         
+        this.drawLossSlice();
+        
         // Grid
         ctx.strokeStyle = '#1a2545';
         ctx.lineWidth = 1;
-        for (let i = -3; i <= 3; i++) {
+        for (let i = Math.ceil(xMin); i <= xMax; i++) {
             ctx.beginPath();
             ctx.moveTo(this.toScreenX(i), 0);
             ctx.lineTo(this.toScreenX(i), canvas.height);
             ctx.stroke();
-            
+        }
+        for (let i = Math.ceil(yMin); i <= yMax; i++) {
             ctx.beginPath();
             ctx.moveTo(0, this.toScreenY(i));
             ctx.lineTo(canvas.width, this.toScreenY(i));
@@ -588,44 +831,43 @@ class GradientDescentViz {
         ctx.stroke();
         
         // Labels
+        const labels = MODELS[this.model].params;
         ctx.fillStyle = '#00d9ff';
         ctx.font = 'bold 16px Arial';
-        ctx.fillText('m_0', canvas.width - 30, this.toScreenY(0) - 10);
-        ctx.fillText('m_1', this.toScreenX(0) + 10, 20);
-        
-        // Path history
-        if (this.pathHistory.length > 1) {
-            ctx.strokeStyle = '#4ecca3';
-            ctx.lineWidth = 2;
+        ctx.fillText(labels[ax], canvas.width - 30, this.toScreenY(0) - 10);
+        ctx.fillText(labels[ay], this.toScreenX(0) + 10, 20);
+        
+        // Path history, then the other optimizers' paths and current points
+        this.drawParamPath(this.pathHistory, OPTIMIZERS.gd.color);
+        this.enabledRuns().forEach(run => {
+            const color = OPTIMIZERS[run.name].color;
+            this.drawParamPath(run.path, color);
+            ctx.fillStyle = color;
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 1.5;
             ctx.beginPath();
-            ctx.moveTo(this.toScreenX(this.pathHistory[0][0]), this.toScreenY(this.pathHistory[0][1]));
-            for (let i = 1; i < this.pathHistory.length; i++) {
-                ctx.lineTo(this.toScreenX(this.pathHistory[i][0]), this.toScreenY(this.pathHistory[i][1]));
-            }
+            ctx.arc(this.toScreenX(run.params[ax]), this.toScreenY(run.params[ay]), 6, 0, 2 * Math.PI);
+            ctx.fill();
             ctx.stroke();
-            
-            // Draw points
-            ctx.fillStyle = '#4ecca3';
-            for (const [m0, m1] of this.pathHistory) {
-                ctx.beginPath();
-                ctx.arc(this.toScreenX(m0), this.toScreenY(m1), 3, 0, 2 * Math.PI);
-                ctx.fill();
-            }
-        }
+        });
         
-        // Gradient vector
-        const { gradM0, gradM1 } = this.calculateGradient(this.m0, this.m1);
-        const gradMag = Math.sqrt(gradM0 * gradM0 + gradM1 * gradM1);
+        if (this.lastSearch) this.drawLineSearch(this.lastSearch);
+        
+        // Gradient vector, projected onto the slice
+        const grad = this.calculateGradient(this.params);
+        const gradX = grad[ax];
+        const gradY = grad[ay];
+        const gradMag = Math.sqrt(gradX * gradX + gradY * gradY);
         if (gradMag > 0.001) {
             const scale = 0.5;
             const arrowLen = Math.min(gradMag * scale, 2);
-            const dx = -gradM0 / gradMag * arrowLen;
-            const dy = -gradM1 / gradMag * arrowLen;
+            const dx = -gradX / gradMag * arrowLen;
+            const dy = -gradY / gradMag * arrowLen;
             
-            const x1 = this.toScreenX(this.m0);
-            const y1 = this.toScreenY(this.m1);
-            const x2 = this.toScreenX(this.m0 + dx);
-            const y2 = this.toScreenY(this.m1 + dy);
+            const x1 = this.toScreenX(this.params[ax]);
+            const y1 = this.toScreenY(this.params[ay]);
+            const x2 = this.toScreenX(this.params[ax] + dx);
+            const y2 = this.toScreenY(this.params[ay] + dy);
             
             ctx.strokeStyle = '#f9d423';
             ctx.fillStyle = '#f9d423';
@@ -648,12 +890,133 @@ class GradientDescentViz {
         // Current point
         ctx.fillStyle = '#e94560';
         ctx.beginPath();
-        ctx.arc(this.toScreenX(this.m0), this.toScreenY(this.m1), 8, 0, 2 * Math.PI);
+        ctx.arc(this.toScreenX(this.params[ax]), this.toScreenY(this.params[ay]), 8, 0, 2 * Math.PI);
         ctx.fill();
         
         ctx.strokeStyle = '#fff';
         ctx.lineWidth = 2;
         ctx.stroke();
+        
+        if (this.enabledRuns().length > 0) this.drawOptimizerLegend();
+    }
+    
+    // The last step's search line, dashed from where it started out to the
+    // furthest point tried, with rejected trials hollow and the accepted one filled
+    drawLineSearch({ from, trials }) {
+        if (trials.length === 0) return;
+        const ctx = this.paramCtx;
+        const [ax, ay] = this.axes;
+        const far = trials[0].params;
+        
+        ctx.strokeStyle = 'rgba(0, 217, 255, 0.6)';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(this.toScreenX(from[ax]), this.toScreenY(from[ay]));
+        ctx.lineTo(this.toScreenX(far[ax]), this.toScreenY(far[ay]));
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        trials.forEach(({ params, accepted }) => {
+            ctx.beginPath();
+            ctx.arc(this.toScreenX(params[ax]), this.toScreenY(params[ay]), 5, 0, 2 * Math.PI);
+            if (accepted) {
+                ctx.fillStyle = '#00d9ff';
+                ctx.fill();
+            } else {
+                ctx.strokeStyle = '#ff9d76';
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+            }
+        });
+    }
+    
+    // Shade the loss over the slice, brightest where it is lowest (log scale,
+    // so the valley floor stays visible next to steep walls)
+    drawLossSlice() {
+        const ctx = this.paramCtx;
+        const cells = 60;
+        const [ax, ay] = this.axes;
+        const [xMin, xMax] = MODELS[this.model].ranges[ax];
+        const [yMin, yMax] = MODELS[this.model].ranges[ay];
+        
+        // Resample only when the data, model, loss or slice changes
+        const key = [this.model, this.loss, ax, ay].concat(
+            this.params.filter((_, i) => i !== ax && i !== ay)).join();
+        if (!this.sliceCache || this.sliceCache.data !== this.dataPoints || this.sliceCache.key !== key) {
+            const values = [];
+            for (let i = 0; i < cells; i++) {
+                for (let j = 0; j < cells; j++) {
+                    const u = xMin + (xMax - xMin) * (i + 0.5) / cells;
+                    const v = yMin + (yMax - yMin) * (j + 0.5) / cells;
+                    values.push(Math.log(this.calculateLoss(this.sliceParams(u, v)) + 1e-6));
+                }
+            }
+            const finite = values.filter(Number.isFinite);
+            this.sliceCache = {
+                data: this.dataPoints,
+                key,
+                values,
+                min: Math.min(...finite),
+                max: Math.max(...finite)
+            };
+        }
+        
+        const { values, min, max } = this.sliceCache;
+        const cellW = this.paramCanvas.width / cells;
+        const cellH = this.paramCanvas.height / cells;
+        for (let i = 0; i < cells; i++) {
+            for (let j = 0; j < cells; j++) {
+                const value = values[i * cells + j];
+                if (!Number.isFinite(value)) continue;
+                const t = max > min ? (value - min) / (max - min) : 0;
+                ctx.fillStyle = `rgba(78, 204, 163, ${(0.45 * (1 - t)).toFixed(3)})`;
+                ctx.fillRect(i * cellW, this.paramCanvas.height - (j + 1) * cellH, cellW + 0.5, cellH + 0.5);
+            }
+        }
+    }
+    
+    drawParamPath(path, color) {
+        if (path.length < 2) return;
+        const ctx = this.paramCtx;
+        const [ax, ay] = this.axes;
+        
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(this.toScreenX(path[0][ax]), this.toScreenY(path[0][ay]));
+        for (let i = 1; i < path.length; i++) {
+            ctx.lineTo(this.toScreenX(path[i][ax]), this.toScreenY(path[i][ay]));
+        }
+        ctx.stroke();
+        
+        // Draw points
+        ctx.fillStyle = color;
+        for (const params of path) {
+            ctx.beginPath();
+            ctx.arc(this.toScreenX(params[ax]), this.toScreenY(params[ay]), 3, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+    }
+    
+    // Name and current error of each path, top left
+    drawOptimizerLegend() {
+        const ctx = this.paramCtx;
+        const rows = [{ name: 'gd', params: this.params }].concat(this.enabledRuns());
+        
+        ctx.fillStyle = 'rgba(10, 14, 39, 0.85)';
+        ctx.fillRect(10, 10, 230, 12 + rows.length * 20);
+        ctx.font = '13px Arial';
+        ctx.textBaseline = 'middle';
+        rows.forEach((row, k) => {
+            const y = 26 + k * 20;
+            const loss = this.calculateLoss(row.params);
+            ctx.fillStyle = OPTIMIZERS[row.name].color;
+            ctx.fillRect(20, y - 5, 10, 10);
+            ctx.fillText(OPTIMIZERS[row.name].name, 38, y);
+            ctx.fillText(Number.isFinite(loss) && loss < 1e6 ? `E = ${loss.toFixed(3)}` : 'diverged', 160, y);
+        });
+        ctx.textBaseline = 'alphabetic';
     }
     
     drawDataView() {
@@ -674,8 +1037,8 @@ class GradientDescentViz {
         }
         
         const padding = 0.2;
-        const rangeX = maxX - minX;
-        const rangeY = maxY - minY;
+        const rangeX = maxX - minX || 1;
+        const rangeY = maxY - minY || 1;
         minX -= rangeX * padding;
         maxX += rangeX * padding;
         minY -= rangeY * padding;
@@ -701,45 +1064,55 @@ class GradientDescentViz {
             ctx.stroke();
         }
         
-        // Data points
-        ctx.fillStyle = '#00d9ff';
-        for (const point of this.dataPoints) {
+        // Data points; with mini-batches the next step's batch is ringed and
+        // the rest are dimmed
+        const fullBatch = this.batch.length === this.dataPoints.length;
+        const inBatch = new Set(this.batch);
+        this.dataPoints.forEach((point, i) => {
+            const highlighted = !fullBatch && inBatch.has(i);
+            ctx.fillStyle = fullBatch || highlighted ? '#00d9ff' : 'rgba(0, 217, 255, 0.3)';
             ctx.beginPath();
-            ctx.arc(toScreenX(point.x), toScreenY(point.y), 5, 0, 2 * Math.PI);
+            ctx.arc(toScreenX(point.x), toScreenY(point.y), highlighted ? 7 : 5, 0, 2 * Math.PI);
             ctx.fill();
-        }
+            if (highlighted) {
+                ctx.strokeStyle = '#f9d423';
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }
+        });
         
-        // Current fit line
-        const y1 = this.m0 + this.m1 * minX;
-        const y2 = this.m0 + this.m1 * maxX;
+        // Model curve for a set of parameters
+        const model = MODELS[this.model];
+        const drawCurve = (params) => {
+            ctx.beginPath();
+            for (let k = 0; k <= 200; k++) {
+                const x = minX + (maxX - minX) * k / 200;
+                const y = toScreenY(model.predict(params, x));
+                if (k === 0) ctx.moveTo(toScreenX(x), y);
+                else ctx.lineTo(toScreenX(x), y);
+            }
+            ctx.stroke();
+        };
+        
+        // Current fit
         ctx.strokeStyle = '#e94560';
         ctx.lineWidth = 3;
-        ctx.beginPath();
-        ctx.moveTo(toScreenX(minX), toScreenY(y1));
-        ctx.lineTo(toScreenX(maxX), toScreenY(y2));
-        ctx.stroke();
+        drawCurve(this.params);
         
-        // Next step prediction (dotted)
-        const { gradM0, gradM1 } = this.calculateGradient(this.m0, this.m1);
-        const nextM0 = this.m0 - this.learningRate * gradM0;
-        const nextM1 = this.m1 - this.learningRate * gradM1;
-        const nextY1 = nextM0 + nextM1 * minX;
-        const nextY2 = nextM0 + nextM1 * maxX;
+        // Next step prediction (dotted), from the next batch under the step rule
+        const next = this.proposeStep(this.batchPoints(), this.pathHistory.length - 1).next;
         
         ctx.strokeStyle = '#f9d423';
         ctx.lineWidth = 2;
         ctx.setLineDash([5, 5]);
-        ctx.beginPath();
-        ctx.moveTo(toScreenX(minX), toScreenY(nextY1));
-        ctx.lineTo(toScreenX(maxX), toScreenY(nextY2));
-        ctx.stroke();
+        drawCurve(next);
         ctx.setLineDash([]);
         
         // Error lines
         ctx.strokeStyle = '#e9456040';
         ctx.lineWidth = 1;
         for (const point of this.dataPoints) {
-            const predY = this.m0 + this.m1 * point.x;
+            const predY = model.predict(this.params, point.x);
             ctx.beginPath();
             ctx.moveTo(toScreenX(point.x), toScreenY(point.y));
             ctx.lineTo(toScreenX(point.x), toScreenY(predY));
@@ -753,53 +1126,185 @@ class GradientDescentViz {
         ctx.fillText('y', 10, 20);
     }
     
-    updateThreeScene() {
-        if (!this.scene) return;
+    // Full loss (green) and the mini-batch loss each step saw (yellow)
+    drawLossCurve() {
+        const ctx = this.lossCtx;
+        const canvas = this.lossCanvas;
+        const pad = { left: 55, right: 20, top: 15, bottom: 25 };
+        const w = canvas.width - pad.left - pad.right;
+        const h = canvas.height - pad.top - pad.bottom;
         
-        // Update current marker position
-        const loss = this.calculateLoss(this.m0, this.m1);
-        const lossNorm = loss / 10; // Normalize for display
-        this.currentMarker.position.set(this.m0, lossNorm * 3, this.m1);
+        ctx.fillStyle = '#0a0e27';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
         
-        // Update path
-        if (this.pathHistory.length > 1) {
-            const points = this.pathHistory.map(([m0, m1]) => {
-                const l = this.calculateLoss(m0, m1) / 10;
-                return new THREE.Vector3(m0, l * 3 + 0.05, m1);
+        const history = this.lossHistory;
+        const values = [];
+        history.forEach(({ full, batch }) => {
+            if (Number.isFinite(full) && full < 1e6) values.push(full);
+            if (Number.isFinite(batch) && batch < 1e6) values.push(batch);
+        });
+        const maxLoss = values.length > 0 ? Math.max(...values) * 1.1 || 1 : 1;
+        const maxT = Math.max(history.length - 1, 10);
+        const toX = t => pad.left + t / maxT * w;
+        const toY = loss => pad.top + h - Math.min(loss / maxLoss, 1) * h;
+        
+        // Axes
+        ctx.strokeStyle = '#3a4a6b';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(pad.left, pad.top);
+        ctx.lineTo(pad.left, pad.top + h);
+        ctx.lineTo(pad.left + w, pad.top + h);
+        ctx.stroke();
+        
+        ctx.fillStyle = '#aaa';
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillText(maxLoss.toPrecision(3), pad.left - 5, pad.top + 8);
+        ctx.fillText('0', pad.left - 5, pad.top + h);
+        ctx.textAlign = 'center';
+        ctx.fillText('0', pad.left, pad.top + h + 15);
+        ctx.fillText(String(maxT), pad.left + w, pad.top + h + 15);
+        ctx.fillText('iteration', pad.left + w / 2, pad.top + h + 15);
+        
+        const plot = (key, color, width) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = width;
+            ctx.beginPath();
+            let first = true;
+            history.forEach((entry, t) => {
+                const loss = entry[key];
+                if (!Number.isFinite(loss)) {
+                    first = true;
+                    return;
+                }
+                if (first) ctx.moveTo(toX(t), toY(loss));
+                else ctx.lineTo(toX(t), toY(loss));
+                first = false;
+            });
+            ctx.stroke();
+        };
+        if (this.batchSize && this.batchSize < this.dataPoints.length) {
+            plot('batch', 'rgba(249, 212, 35, 0.8)', 1);
+        }
+        plot('full', '#4ecca3', 2);
+        
+        // Legend
+        ctx.textAlign = 'left';
+        ctx.font = '12px Arial';
+        ctx.fillStyle = '#4ecca3';
+        ctx.fillText('full loss', pad.left + w - 150, pad.top + 10);
+        if (this.batchSize && this.batchSize < this.dataPoints.length) {
+            ctx.fillStyle = '#f9d423';
+            ctx.fillText('mini-batch loss', pad.left + w - 85, pad.top + 10);
+        }
+    }
+    
+    updateSurface() {
+        const model = MODELS[this.model];
+        const [ax, ay] = this.axes;
+        
+        // Resample the loss only when the data, model, loss or slice changes
+        const key = [this.model, this.loss, ax, ay].concat(
+            this.params.filter((_, i) => i !== ax && i !== ay)).join();
+        if (this.surfaceData !== this.dataPoints || this.surfaceKey !== key) {
+            this.surfaceData = this.dataPoints;
+            this.surfaceKey = key;
+            Object.assign(this.surfacePlot.options, {
+                xRange: model.ranges[ax],
+                yRange: model.ranges[ay],
+                axisLabels: [model.params[ax], model.params[ay], 'E']
             });
-            this.pathLineGeometry.setFromPoints(points);
+            this.surfacePlot.f = (u, v) => this.calculateLoss(this.sliceParams(u, v));
+            this.surfacePlot.sample();
         }
         
-        this.renderer.render(this.scene, this.camera);
+        // Points off the slice (earlier steps with other fixed values) sit at
+        // their own error, above or below the sheet
+        const runs = this.enabledRuns();
+        const toPoint = params => ({ x: params[ax], y: params[ay], z: this.calculateLoss(params) });
+        this.surfacePlot.markers = [Object.assign(toPoint(this.params), { color: '#e94560' })].concat(
+            runs.map(run => Object.assign(toPoint(run.params), { color: OPTIMIZERS[run.name].color, size: 5 })));
+        this.surfacePlot.paths = [{ points: this.pathHistory.map(toPoint), color: OPTIMIZERS.gd.color }].concat(
+            runs.map(run => ({ points: run.path.map(toPoint), color: OPTIMIZERS[run.name].color })));
+        this.surfacePlot.render();
     }
     
     updateInfo() {
         if (!this.options.showControls) return;
         
-        document.getElementById('gd-m0-value').textContent = this.m0.toFixed(4);
-        document.getElementById('gd-m1-value').textContent = this.m1.toFixed(4);
-        document.getElementById('gd-error-value').textContent = this.calculateLoss(this.m0, this.m1).toFixed(4);
+        this.params.forEach((p, i) => {
+            document.getElementById(`gd-param-${i}-value`).textContent = p.toFixed(4);
+        });
+        document.getElementById('gd-error-value').textContent = this.calculateLoss(this.params).toFixed(4);
+        document.getElementById('gd-param-label').textContent = this.sliceLabel();
+        if (this.currentView === 'surface') {
+            document.getElementById('gd-right-label').textContent = `Error Surface ${this.sliceLabel('E')}`;
+        }
         document.getElementById('gd-steps-value').textContent = (this.pathHistory.length - 1).toString();
+        
+        // Completed epochs, plus the batch within the current one
+        const n = this.dataPoints.length;
+        const epochs = Math.floor(this.pointsSeen / n);
+        const batches = this.batchSize && this.batchSize < n ? Math.ceil(n / this.batchSize) : 1;
+        const batchInEpoch = Math.ceil((this.pointsSeen - epochs * n) / (this.batchSize || n));
+        document.getElementById('gd-epoch-value').textContent = batches > 1 && batchInEpoch > 0
+            ? `${epochs} (+${batchInEpoch}/${batches})`
+            : String(epochs);
+        document.getElementById('gd-lr-effective').textContent =
+            (this.learningRate * this.scheduleFactor(this.pathHistory.length - 1)).toFixed(4);
+        
+        const search = this.lastSearch;
+        document.getElementById('gd-step-info').textContent = search && this.stepRule !== 'fixed'
+            ? `last step: α = ${search.alpha.toPrecision(3)}` +
+              (search.trials.length > 1 ? ` after ${search.trials.length} trials` : '') +
+              (search.note ? ` (${search.note})` : '')
+            : '';
+    }
+    
+    // Refill the loss and slice selects and the parameter readouts for the current model
+    updateModelControls() {
+        if (!this.options.showControls) return;
+        const model = MODELS[this.model];
+        
+        document.getElementById('gd-model').value = this.model;
+        document.getElementById('gd-title').textContent = `Gradient Descent for ${model.name}`;
+        document.getElementById('gd-loss').innerHTML = model.losses.map(name =>
+            `<option value="${name}" ${name === this.loss ? 'selected' : ''}>${LOSSES[name].name}</option>`).join('');
+        document.getElementById('gd-error-label').textContent = `Error (${LOSSES[this.loss].name})`;
+        
+        document.getElementById('gd-slice-controls').style.display = model.params.length > 2 ? '' : 'none';
+        ['gd-axis-x', 'gd-axis-y'].forEach((id, k) => {
+            document.getElementById(id).innerHTML = model.params.map((label, i) =>
+                `<option value="${i}" ${i === this.axes[k] ? 'selected' : ''}>${label}</option>`).join('');
+        });
+        
+        document.getElementById('gd-param-items').innerHTML = model.params.map((label, i) => `
+                        <div class="gd-viz-info-item">
+                            <div class="gd-viz-info-label">${label}</div>
+                            <div class="gd-viz-info-value" id="gd-param-${i}-value"></div>
+                        </div>`).join('');
     }
     
-    toScreenX(m0) {
-        const range = 6;
-        return (m0 + range/2) / range * this.paramCanvas.width;
+    // Parameter space <-> canvas, over the model's range for each slice axis
+    toScreenX(value) {
+        const [lo, hi] = MODELS[this.model].ranges[this.axes[0]];
+        return (value - lo) / (hi - lo) * this.paramCanvas.width;
     }
     
-    toScreenY(m1) {
-        const range = 6;
-        return this.paramCanvas.height - (m1 + range/2) / range * this.paramCanvas.height;
+    toScreenY(value) {
+        const [lo, hi] = MODELS[this.model].ranges[this.axes[1]];
+        return this.paramCanvas.height - (value - lo) / (hi - lo) * this.paramCanvas.height;
     }
     
     fromScreenX(x) {
-        const range = 6;
-        return (x / this.paramCanvas.width) * range - range/2;
+        const [lo, hi] = MODELS[this.model].ranges[this.axes[0]];
+        return lo + (x / this.paramCanvas.width) * (hi - lo);
     }
     
     fromScreenY(y) {
-        const range = 6;
-        return -((y / this.paramCanvas.height) * range - range/2);
+        const [lo, hi] = MODELS[this.model].ranges[this.axes[1]];
+        return lo + (1 - y / this.paramCanvas.height) * (hi - lo);
     }
     
     // Public API methods
@@ -817,7 +1322,7 @@ class GradientDescentViz {
     }
     
     /**
-     * Take one or more gradient descent steps
+     * Take one or more gradient descent steps under the current step rule (see setStepRule)
      * @param {number} numSteps - Number of steps to take (default: 1)
      */
     step(numSteps = 1) {
@@ -828,12 +1333,12 @@ class GradientDescentViz {
     }
     
     /**
-     * Reset the algorithm to a new random position
+     * Reset the algorithm to a new random position in the middle two thirds
+     * of each parameter's range
      */
     reset() {
-        this.m0 = Math.random() * 4 - 2;
-        this.m1 = Math.random() * 4 - 2;
-        this.pathHistory = [[this.m0, this.m1]];
+        this.params = MODELS[this.model].ranges.map(([lo, hi]) => lo + (hi - lo) * (1 + 4 * Math.random()) / 6);
+        this.restartPath();
         this.draw();
     }
     
@@ -845,15 +1350,162 @@ class GradientDescentViz {
         this.draw();
     }
     
+    /**
+     * Fit a different model: generates data for it and starts from its
+     * initial parameters, learning rate and default loss
+     * @param {string} name - 'linear', 'quadratic', 'cubic', 'logistic' or 'neuron'
+     */
+    setModel(name) {
+        const model = MODELS[name];
+        if (!model) {
+            throw new Error(`Unknown model "${name}"; choose from ${Object.keys(MODELS).join(', ')}`);
+        }
+        this.model = name;
+        this.loss = model.losses[0];
+        this.params = model.initial.slice();
+        this.axes = [0, 1];
+        this.setLearningRate(model.learningRate);
+        this.updateModelControls();
+        this.generateData();
+        this.draw();
+    }
+    
+    /**
+     * Change the loss function. Restarts the path.
+     * @param {string} name - 'mse', 'mae', 'huber' or (logistic regression) 'crossEntropy'
+     */
+    setLoss(name) {
+        if (!MODELS[this.model].losses.includes(name)) {
+            throw new Error(`Loss "${name}" does not apply to ${MODELS[this.model].name}; choose from ${MODELS[this.model].losses.join(', ')}`);
+        }
+        this.loss = name;
+        this.updateModelControls();
+        this.restartPath();
+        this.draw();
+    }
+    
+    /**
+     * Choose the two parameters shown in parameter space and on the error
+     * surface; the others stay at their current values
+     * @param {number} i - Index of the parameter on the horizontal axis
+     * @param {number} j - Index of the parameter on the vertical axis
+     */
+    setSliceAxes(i, j) {
+        const count = MODELS[this.model].params.length;
+        if (i === j || !(i >= 0 && i < count) || !(j >= 0 && j < count)) {
+            throw new Error(`Slice axes must be two different parameter indices below ${count}`);
+        }
+        this.axes = [i, j];
+        this.updateModelControls();
+        this.draw();
+    }
+    
+    /**
+     * Use mini-batches: each step follows the gradient of the next batchSize
+     * points of a shuffled pass through the data. Restarts the path.
+     * @param {number|null} batchSize - 1 for stochastic, null (or ≥ the number of points) for full batch
+     */
+    setBatchSize(batchSize) {
+        this.batchSize = batchSize || null;
+        if (this.options.showControls) {
+            const mode = !this.batchSize ? 'full' : this.batchSize === 1 ? 'sgd' : 'mini';
+            document.getElementById('gd-batch-mode').value = mode;
+            if (mode === 'mini') document.getElementById('gd-batch-size').value = this.batchSize;
+        }
+        this.restartPath();
+        this.draw();
+    }
+    
+    /**
+     * Set the learning-rate schedule. Restarts the path.
+     * @param {string} name - 'constant', 'step' (halve every 20 iterations),
+     *     'inverse' (α / (1 + t/10)) or 'cosine' (down to 0 at t = 100)
+     */
+    setSchedule(name) {
+        if (!LR_SCHEDULES[name]) {
+            throw new Error(`Unknown schedule "${name}"; choose from ${Object.keys(LR_SCHEDULES).join(', ')}`);
+        }
+        this.schedule = name;
+        if (this.options.showControls) {
+            document.getElementById('gd-schedule').value = name;
+        }
+        this.restartPath();
+        this.draw();
+    }
+    
+    /**
+     * Choose how plain gradient descent sizes its steps. Restarts the path.
+     * @param {string} name - 'fixed' (α and its schedule), 'armijo' (halve from
+     *     α = 1 until the loss drops enough), 'exact' (minimize along −∇E),
+     *     'newton' (solve H d = −∇E) or 'cg' (Polak–Ribière conjugate gradient).
+     *     Off the quadratic loss, an exact, Newton or CG step that does not lower
+     *     the loss is replaced by backtracking along its direction.
+     */
+    setStepRule(name) {
+        if (!STEP_RULES[name]) {
+            throw new Error(`Unknown step rule "${name}"; choose from ${Object.keys(STEP_RULES).join(', ')}`);
+        }
+        this.stepRule = name;
+        if (this.options.showControls) {
+            document.getElementById('gd-step-rule').value = name;
+        }
+        this.restartPath();
+        this.draw();
+    }
+    
+    /**
+     * Run another optimizer alongside plain gradient descent, from the same
+     * start point and for the same number of steps
+     * @param {string} name - 'momentum', 'nesterov', 'adagrad', 'rmsprop' or 'adam'
+     * @param {boolean} enabled - Show (true) or hide (false) its path (default: true)
+     * @param {Object} hyper - Hyperparameters to change, e.g. { learningRate: 0.05, beta: 0.8 }
+     */
+    setOptimizer(name, enabled = true, hyper = {}) {
+        const run = this.runs[name];
+        if (!run) {
+            throw new Error(`Unknown optimizer "${name}"; choose from ${Object.keys(this.runs).join(', ')}`);
+        }
+        run.enabled = enabled;
+        Object.assign(run.hyper, hyper);
+        this.replayRun(run);
+        
+        if (this.options.showControls) {
+            this.container.querySelector(`.gd-opt-toggle[data-optimizer="${name}"]`).checked = enabled;
+            this.container.querySelectorAll(`.gd-opt-hyper[data-optimizer="${name}"]`).forEach(input => {
+                input.value = run.hyper[input.dataset.key];
+            });
+        }
+        this.draw();
+    }
+    
+    /**
+     * Switch the error surface between a shaded mesh and a wireframe
+     * @returns {boolean} - True if now showing the wireframe
+     */
+    toggleWireframe() {
+        return this.surfacePlot.toggleWireframe();
+    }
+    
     /**
      * Get current parameters
-     * @returns {{m0: number, m1: number, error: number}}
+     * @returns {{model: string, loss: string, stepRule: string, params: number[], error: number, epoch: number, optimizers: Object}} -
+     *     params are in the order of MODELS[model].params; epoch counts
+     *     completed passes through the data; optimizers maps each enabled
+     *     optimizer to its own {params, error}
      */
     getState() {
+        const optimizers = {};
+        this.enabledRuns().forEach(run => {
+            optimizers[run.name] = { params: run.params.slice(), error: this.calculateLoss(run.params) };
+        });
         return {
-            m0: this.m0,
-            m1: this.m1,
-            error: this.calculateLoss(this.m0, this.m1)
+            model: this.model,
+            loss: this.loss,
+            stepRule: this.stepRule,
+            params: this.params.slice(),
+            error: this.calculateLoss(this.params),
+            epoch: Math.floor(this.pointsSeen / this.dataPoints.length),
+            optimizers
         };
     }
 }
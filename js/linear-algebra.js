@@ -0,0 +1,90 @@
+// Small dense linear algebra
+//
+// Enough for the handful-of-parameters problems in the applets: solving
+// H d = g for a Newton step or a least-squares optimum, and the eigenvalues
+// of a symmetric matrix (a Hessian) for curvature and stability bounds.
+// Matrices are arrays of rows; nothing here modifies its arguments.
+//
+// Usage:
+//   <script src="../js/linear-algebra.js"></script>
+//   const x = solveLinearSystem([[2, 1], [1, 3]], [1, 2]);     // [0.2, 0.6]
+//   const lambdas = symmetricEigenvalues([[2, 1], [1, 3]]);     // largest first
+
+/**
+ * Solve A x = b by Gaussian elimination with partial pivoting.
+ * @param {number[][]} A - Square matrix
+ * @param {number[]} b - Right-hand side
+ * @returns {number[]|null} - x, or null if A is singular (to working precision)
+ */
+function solveLinearSystem(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => row.concat([b[i]]));
+    const scale = Math.max(...A.flat().map(Math.abs)) || 1;
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+        }
+        if (Math.abs(M[pivot][col]) < 1e-12 * scale) return null;
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = M[row][col] / M[col][col];
+            for (let k = col; k <= n; k++) M[row][k] -= factor * M[col][k];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = M[row][n];
+        for (let k = row + 1; k < n; k++) sum -= M[row][k] * x[k];
+        x[row] = sum / M[row][row];
+    }
+    return x;
+}
+
+/**
+ * Eigenvalues of a symmetric matrix (cyclic Jacobi rotations).
+ * @param {number[][]} A - Symmetric square matrix
+ * @returns {number[]} - Eigenvalues, largest first
+ */
+function symmetricEigenvalues(A) {
+    const n = A.length;
+    const M = A.map(row => row.slice());
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        let off = 0;
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) off += M[p][q] * M[p][q];
+        }
+        if (off < 1e-22) break;
+
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (M[p][q] === 0) continue;
+                // Rotation angle that zeroes M[p][q]
+                const theta = (M[q][q] - M[p][p]) / (2 * M[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+                for (let k = 0; k < n; k++) {
+                    const mkp = M[k][p], mkq = M[k][q];
+                    M[k][p] = c * mkp - s * mkq;
+                    M[k][q] = s * mkp + c * mkq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const mpk = M[p][k], mqk = M[q][k];
+                    M[p][k] = c * mpk - s * mqk;
+                    M[q][k] = s * mpk + c * mqk;
+                }
+            }
+        }
+    }
+    return M.map((row, i) => row[i]).sort((a, b) => b - a);
+}
+
+// Export for use in modules or direct script inclusion
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { solveLinearSystem, symmetricEigenvalues };
+}
@@ -0,0 +1,467 @@
+/**
+ * MathParser - Safe parser for user-entered math expressions
+ *
+ * Turns strings like "2x(x+1)", "x^3 sin(x)" or "asin(x/2) + e^-x" into an
+ * expression tree (AST) and compiles that tree into a plain JavaScript
+ * function. Nothing typed by the user is ever handed to eval/new Function.
+ *
+ * Grammar (lowest to highest precedence):
+ *
+ *   expression  := additive [ ('<' | '<=' | '>' | '>=' | '==' | '!=') additive ]
+ *   additive    := term { ('+' | '-') term }
+ *   term        := unary { ('*' | '/') unary | implicit }
+ *   implicit    := power              (juxtaposition: 2x, 3(x+1), x sin(x), (x+1)(x-1))
+ *   unary       := ('-' | '+') unary | power
+ *   power       := primary [ ('^' | '**') unary ]      (right associative)
+ *   primary     := number | constant | variable
+ *                | function '(' expression { ',' expression } ')'
+ *                | '(' expression ')'
+ *
+ * Notes:
+ *   - -x^2 means -(x^2) and 2^-x means 2^(-x), as in ordinary math notation.
+ *   - Constants: pi (or π) and e.
+ *   - ln and log are both the natural log; use log10/log2 for other bases.
+ *   - factorial(n) is n! for whole numbers and Γ(n + 1) in between.
+ *   - Comparisons evaluate to 1 (true) or 0 (false) and are mainly useful
+ *     inside piecewise(cond1, value1, cond2, value2, ..., [otherwise]).
+ *   - Names can be run together when unambiguous: "xsin(x)", "2pix", "ex".
+ *
+ * @example
+ * const f = compileExpression('x^3 sin(x)');          // f(2) -> 8*sin(2)
+ * const g = compileExpression('x y^2', ['x', 'y']);   // g(1, 2) -> 4
+ * try {
+ *     parseExpression('2*(x+');
+ * } catch (e) {
+ *     console.log(e.message, e.position);  // "Unexpected end of input" 5
+ * }
+ */
+
+/**
+ * Error thrown for invalid input, carrying the character position
+ * (0-based) where the problem was found.
+ */
+class ExpressionError extends Error {
+    constructor(message, position) {
+        super(message);
+        this.name = 'ExpressionError';
+        this.position = position;
+    }
+}
+
+// n! exactly for whole numbers up to 170 (Infinity beyond), Γ(x + 1) by the
+// Lanczos approximation in between, NaN at the negative integers
+function factorial(x) {
+    if (Number.isInteger(x)) {
+        if (x < 0) return NaN;
+        if (x > 170) return Infinity;
+        let product = 1;
+        for (let k = 2; k <= x; k++) product *= k;
+        return product;
+    }
+    // Reflection Γ(z)Γ(1 − z) = π / sin(πz) for z = x + 1 < 1/2
+    if (x < -0.5) return Math.PI / (Math.sin(Math.PI * (x + 1)) * factorial(-x - 1));
+    const g = 7;
+    const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+    let sum = c[0];
+    for (let i = 1; i < g + 2; i++) sum += c[i] / (x + i);
+    const t = x + g + 0.5;
+    // t^(x + 1/2) e^(−t) in two halves, so it stays finite until the result overflows
+    const half = Math.pow(t, (x + 0.5) / 2);
+    return Math.sqrt(2 * Math.PI) * half * (half * Math.exp(-t)) * sum;
+}
+
+// Built-in functions: implementation and number of arguments
+// (arity -1 means variadic and is checked by the compiler)
+const MATH_FUNCTIONS = {
+    sin:   { fn: Math.sin,   arity: 1 },
+    cos:   { fn: Math.cos,   arity: 1 },
+    tan:   { fn: Math.tan,   arity: 1 },
+    sec:   { fn: x => 1 / Math.cos(x), arity: 1 },
+    csc:   { fn: x => 1 / Math.sin(x), arity: 1 },
+    cot:   { fn: x => 1 / Math.tan(x), arity: 1 },
+    asin:  { fn: Math.asin,  arity: 1 },
+    acos:  { fn: Math.acos,  arity: 1 },
+    atan:  { fn: Math.atan,  arity: 1 },
+    sinh:  { fn: Math.sinh,  arity: 1 },
+    cosh:  { fn: Math.cosh,  arity: 1 },
+    tanh:  { fn: Math.tanh,  arity: 1 },
+    asinh: { fn: Math.asinh, arity: 1 },
+    acosh: { fn: Math.acosh, arity: 1 },
+    atanh: { fn: Math.atanh, arity: 1 },
+    exp:   { fn: Math.exp,   arity: 1 },
+    ln:    { fn: Math.log,   arity: 1 },
+    log:   { fn: Math.log,   arity: 1 },
+    log10: { fn: Math.log10, arity: 1 },
+    log2:  { fn: Math.log2,  arity: 1 },
+    sqrt:  { fn: Math.sqrt,  arity: 1 },
+    cbrt:  { fn: Math.cbrt,  arity: 1 },
+    abs:   { fn: Math.abs,   arity: 1 },
+    sign:  { fn: Math.sign,  arity: 1 },
+    floor: { fn: Math.floor, arity: 1 },
+    ceil:  { fn: Math.ceil,  arity: 1 },
+    min:   { fn: Math.min,   arity: -1 },
+    max:   { fn: Math.max,   arity: -1 },
+    factorial: { fn: factorial, arity: 1 },
+    piecewise: { fn: null,   arity: -1 }
+};
+
+// Alternate spellings accepted for convenience
+const FUNCTION_ALIASES = {
+    arcsin: 'asin',
+    arccos: 'acos',
+    arctan: 'atan',
+    arsinh: 'asinh',
+    arcosh: 'acosh',
+    artanh: 'atanh'
+};
+
+const MATH_CONSTANTS = {
+    pi: Math.PI,
+    'π': Math.PI,
+    e: Math.E
+};
+
+/**
+ * Split an expression string into tokens.
+ * Runs of letters are split into the longest known names (functions,
+ * constants and the given variables), so "xsin" becomes x, sin.
+ * @param {string} src - Expression text
+ * @param {string[]} variables - Allowed variable names
+ * @returns {Array<{type: string, value: *, pos: number}>} - Token list ending with an 'end' token
+ */
+function tokenizeExpression(src, variables = ['x']) {
+    const names = Object.keys(MATH_FUNCTIONS)
+        .concat(Object.keys(FUNCTION_ALIASES), Object.keys(MATH_CONSTANTS), variables)
+        .sort((a, b) => b.length - a.length);
+    const tokens = [];
+    let i = 0;
+
+    while (i < src.length) {
+        const ch = src[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        // Numbers: 12, 3.5, .5, 1e-3
+        if (/[0-9.]/.test(ch)) {
+            const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(src.slice(i));
+            if (!match) {
+                throw new ExpressionError(`Unexpected '${ch}' at position ${i}`, i);
+            }
+            tokens.push({ type: 'number', value: parseFloat(match[0]), pos: i });
+            i += match[0].length;
+            continue;
+        }
+
+        if (/[A-Za-zπ]/.test(ch)) {
+            const name = names.find(n => src.startsWith(n, i));
+            if (!name) {
+                const word = /^[A-Za-z]+/.exec(src.slice(i));
+                const shown = word ? word[0] : ch;
+                throw new ExpressionError(`Unknown name '${shown}' at position ${i}`, i);
+            }
+            const canonical = FUNCTION_ALIASES[name] || name;
+            let type = 'variable';
+            if (MATH_FUNCTIONS[canonical]) type = 'function';
+            else if (name in MATH_CONSTANTS && !variables.includes(name)) type = 'constant';
+            tokens.push({ type, value: canonical, pos: i });
+            i += name.length;
+            continue;
+        }
+
+        const two = src.slice(i, i + 2);
+        if (['**', '<=', '>=', '==', '!='].includes(two)) {
+            tokens.push({ type: 'op', value: two === '**' ? '^' : two, pos: i });
+            i += 2;
+            continue;
+        }
+
+        if ('+-*/^<>(),'.includes(ch)) {
+            tokens.push({ type: 'op', value: ch, pos: i });
+            i++;
+            continue;
+        }
+
+        throw new ExpressionError(`Unexpected '${ch}' at position ${i}`, i);
+    }
+
+    tokens.push({ type: 'end', value: null, pos: src.length });
+    return tokens;
+}
+
+/**
+ * Parse an expression string into an AST.
+ *
+ * Node shapes:
+ *   {type: 'number', value}
+ *   {type: 'constant', name}                  (pi, e)
+ *   {type: 'variable', name}
+ *   {type: 'unary', op: '-', arg}
+ *   {type: 'binary', op, left, right}         (+ - * / ^ and comparisons)
+ *   {type: 'call', name, args}
+ *
+ * @param {string} src - Expression text
+ * @param {string[]} variables - Allowed variable names (default: ['x'])
+ * @returns {Object} - Root AST node
+ * @throws {ExpressionError} - With the position of the offending character
+ */
+function parseExpression(src, variables = ['x']) {
+    const tokens = tokenizeExpression(src, variables);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const isOp = (tok, ...ops) => tok.type === 'op' && ops.includes(tok.value);
+
+    function fail(tok, message) {
+        if (!message) {
+            message = tok.type === 'end'
+                ? 'Unexpected end of input'
+                : `Unexpected '${src.slice(tok.pos, tok.pos + String(tok.value).length)}' at position ${tok.pos}`;
+        }
+        throw new ExpressionError(message, tok.pos);
+    }
+
+    function expect(op) {
+        const tok = next();
+        if (!isOp(tok, op)) {
+            fail(tok, tok.type === 'end'
+                ? `Expected '${op}' before end of input`
+                : `Expected '${op}' at position ${tok.pos}`);
+        }
+        return tok;
+    }
+
+    // Can this token start an operand for implicit multiplication?
+    function startsOperand(tok) {
+        return tok.type === 'number' || tok.type === 'variable' ||
+            tok.type === 'constant' || tok.type === 'function' || isOp(tok, '(');
+    }
+
+    function parseComparison() {
+        const left = parseAdditive();
+        const tok = peek();
+        if (isOp(tok, '<', '<=', '>', '>=', '==', '!=')) {
+            next();
+            const right = parseAdditive();
+            if (isOp(peek(), '<', '<=', '>', '>=', '==', '!=')) {
+                fail(peek(), `Chained comparison at position ${peek().pos}; use piecewise() for ranges`);
+            }
+            return { type: 'binary', op: tok.value, left, right };
+        }
+        return left;
+    }
+
+    function parseAdditive() {
+        let left = parseTerm();
+        while (isOp(peek(), '+', '-')) {
+            const op = next().value;
+            left = { type: 'binary', op, left, right: parseTerm() };
+        }
+        return left;
+    }
+
+    function parseTerm() {
+        let left = parseUnary();
+        for (;;) {
+            const tok = peek();
+            if (isOp(tok, '*', '/')) {
+                next();
+                left = { type: 'binary', op: tok.value, left, right: parseUnary() };
+            } else if (startsOperand(tok)) {
+                // A number right after an operand ("x 2") is almost always a typo
+                if (tok.type === 'number') {
+                    fail(tok, `Missing operator before number at position ${tok.pos}`);
+                }
+                left = { type: 'binary', op: '*', left, right: parsePower() };
+            } else {
+                return left;
+            }
+        }
+    }
+
+    function parseUnary() {
+        if (isOp(peek(), '-')) {
+            next();
+            return { type: 'unary', op: '-', arg: parseUnary() };
+        }
+        if (isOp(peek(), '+')) {
+            next();
+            return parseUnary();
+        }
+        return parsePower();
+    }
+
+    function parsePower() {
+        const base = parsePrimary();
+        if (isOp(peek(), '^')) {
+            next();
+            return { type: 'binary', op: '^', left: base, right: parseUnary() };
+        }
+        return base;
+    }
+
+    function parsePrimary() {
+        const tok = next();
+
+        switch (tok.type) {
+            case 'number':
+                return { type: 'number', value: tok.value };
+            case 'constant':
+                return { type: 'constant', name: tok.value };
+            case 'variable':
+                return { type: 'variable', name: tok.value };
+            case 'function': {
+                if (!isOp(peek(), '(')) {
+                    fail(peek(), `Expected '(' after ${tok.value} at position ${peek().pos}`);
+                }
+                next();
+                const args = [parseComparison()];
+                while (isOp(peek(), ',')) {
+                    next();
+                    args.push(parseComparison());
+                }
+                expect(')');
+                checkArity(tok, args.length);
+                return { type: 'call', name: tok.value, args };
+            }
+            case 'op':
+                if (tok.value === '(') {
+                    const inner = parseComparison();
+                    expect(')');
+                    return inner;
+                }
+                break;
+        }
+        return fail(tok);
+    }
+
+    function checkArity(tok, count) {
+        const arity = MATH_FUNCTIONS[tok.value].arity;
+        if (arity >= 0 && count !== arity) {
+            fail(tok, `${tok.value} expects ${arity} argument${arity === 1 ? '' : 's'} (position ${tok.pos})`);
+        }
+        if (tok.value === 'piecewise' && count < 2) {
+            fail(tok, `piecewise needs at least a condition and a value (position ${tok.pos})`);
+        }
+    }
+
+    if (peek().type === 'end') {
+        throw new ExpressionError('Expression is empty', 0);
+    }
+
+    const ast = parseComparison();
+    if (peek().type !== 'end') {
+        fail(peek());
+    }
+    return ast;
+}
+
+/**
+ * Compile an AST into a JavaScript function of the given variables.
+ * @param {Object} ast - Tree from parseExpression
+ * @param {string[]} variables - Argument order of the returned function
+ * @returns {Function} - f(...values) -> number (NaN outside the domain)
+ */
+function compileAST(ast, variables = ['x']) {
+    function build(node) {
+        switch (node.type) {
+            case 'number': {
+                const v = node.value;
+                return () => v;
+            }
+            case 'constant': {
+                const v = MATH_CONSTANTS[node.name];
+                return () => v;
+            }
+            case 'variable': {
+                const k = variables.indexOf(node.name);
+                if (k < 0) throw new ExpressionError(`Unknown variable '${node.name}'`, 0);
+                return args => args[k];
+            }
+            case 'unary': {
+                const a = build(node.arg);
+                return args => -a(args);
+            }
+            case 'binary': {
+                const l = build(node.left);
+                const r = build(node.right);
+                switch (node.op) {
+                    case '+':  return args => l(args) + r(args);
+                    case '-':  return args => l(args) - r(args);
+                    case '*':  return args => l(args) * r(args);
+                    case '/':  return args => l(args) / r(args);
+                    case '^':  return args => Math.pow(l(args), r(args));
+                    case '<':  return args => (l(args) < r(args) ? 1 : 0);
+                    case '<=': return args => (l(args) <= r(args) ? 1 : 0);
+                    case '>':  return args => (l(args) > r(args) ? 1 : 0);
+                    case '>=': return args => (l(args) >= r(args) ? 1 : 0);
+                    case '==': return args => (l(args) === r(args) ? 1 : 0);
+                    case '!=': return args => (l(args) !== r(args) ? 1 : 0);
+                }
+                break;
+            }
+            case 'call': {
+                const argFns = node.args.map(build);
+                if (node.name === 'piecewise') {
+                    return args => {
+                        let i = 0;
+                        for (; i + 1 < argFns.length; i += 2) {
+                            if (argFns[i](args)) return argFns[i + 1](args);
+                        }
+                        return i < argFns.length ? argFns[i](args) : NaN;
+                    };
+                }
+                const fn = MATH_FUNCTIONS[node.name].fn;
+                if (argFns.length === 1) {
+                    const a = argFns[0];
+                    return args => fn(a(args));
+                }
+                return args => fn(...argFns.map(g => g(args)));
+            }
+        }
+        throw new ExpressionError(`Cannot compile node of type '${node.type}'`, 0);
+    }
+
+    const evaluate = build(ast);
+    return (...values) => evaluate(values);
+}
+
+/**
+ * Parse and compile in one step.
+ * @param {string} src - Expression text
+ * @param {string[]} variables - Allowed variable names, in argument order
+ * @returns {Function} - Compiled function
+ * @throws {ExpressionError} - If the text cannot be parsed
+ */
+function compileExpression(src, variables = ['x']) {
+    return compileAST(parseExpression(src, variables), variables);
+}
+
+/**
+ * Format an ExpressionError for display, with a caret under the bad spot.
+ * @param {string} src - The text that failed to parse
+ * @param {ExpressionError} err - The error thrown by the parser
+ * @returns {string} - Multi-line message (use inside a <pre> or white-space: pre)
+ */
+function formatExpressionError(src, err) {
+    if (typeof err.position !== 'number') return err.message;
+    return `${err.message}\n${src}\n${' '.repeat(err.position)}^`;
+}
+
+// Export for use in modules or direct script inclusion
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ExpressionError,
+        MATH_FUNCTIONS,
+        MATH_CONSTANTS,
+        tokenizeExpression,
+        parseExpression,
+        compileAST,
+        compileExpression,
+        formatExpressionError
+    };
+}
@@ -0,0 +1,286 @@
+// Models and loss functions for fitting data by gradient descent
+//
+// A model turns an input x into a prediction through a parameter vector
+// (array of numbers); a loss scores each prediction against the observed y.
+// modelLoss and modelGradient average over a set of {x, y} points, using
+// the chain rule dE/dθ = mean(loss'(pred, y) · ∂pred/∂θ), so any model and
+// loss pair plugs straight into OPTIMIZERS.
+//
+// Usage:
+//   <script src="../js/models.js"></script>
+//   const model = MODELS.logistic;
+//   const points = model.generate(20);
+//   const params = model.initial.slice();
+//   const E = modelLoss(model, LOSSES.crossEntropy, params, points);
+//   const grad = modelGradient(model, LOSSES.crossEntropy, params, points);   // array, one entry per parameter
+
+/**
+ * @typedef {Object} Model
+ * @property {string} name - Display name
+ * @property {string} formula - e.g. 'y = m₀ + m₁x'
+ * @property {string[]} params - Parameter labels, e.g. ['m₀', 'm₁']
+ * @property {number[]} initial - Starting parameters
+ * @property {Array<[number, number]>} ranges - Plotting range of each parameter
+ * @property {string[]} losses - Keys of LOSSES that make sense for it; the first is the default
+ * @property {number} learningRate - A learning rate that converges at a watchable pace
+ * @property {boolean} [linearInParams] - Prediction is linear in the parameters, so
+ *     under MSE the loss is quadratic: constant Hessian, closed-form optimum
+ * @property {Function} predict - (params, x) -> prediction
+ * @property {Function} gradient - (params, x) -> ∂prediction/∂params as an array
+ * @property {Function} generate - (n, random) -> n noisy {x, y} points from a random true model
+ */
+
+/**
+ * @typedef {Object} Loss
+ * @property {string} name - Display name
+ * @property {string} formula - Loss of one point in terms of ŷ and y
+ * @property {Function} value - (prediction, y) -> loss of one point
+ * @property {Function} derivative - (prediction, y) -> ∂loss/∂prediction
+ */
+
+function sigmoid(z) {
+    return 1 / (1 + Math.exp(-z));
+}
+
+// Uniform sample in [lo, hi)
+function randomBetween(random, lo, hi) {
+    return lo + (hi - lo) * random();
+}
+
+// y = m₀ + m₁x + … + m_d x^d on x in [-2, 2], where the powers stay small
+function polynomialModel(degree, name) {
+    const subscripts = '₀₁₂₃₄₅₆₇₈₉';
+    const params = [];
+    const terms = [];
+    for (let k = 0; k <= degree; k++) {
+        params.push(`m${subscripts[k]}`);
+        terms.push(k === 0 ? 'm₀' : k === 1 ? 'm₁x' : `m${subscripts[k]}x${'⁰¹²³⁴⁵⁶⁷⁸⁹'[k]}`);
+    }
+    return {
+        name,
+        formula: `y = ${terms.join(' + ')}`,
+        params,
+        initial: params.map(() => 0),
+        ranges: params.map(() => [-3, 3]),
+        losses: ['mse', 'mae', 'huber'],
+        learningRate: degree > 2 ? 0.01 : 0.02,
+        linearInParams: true,
+        predict(p, x) {
+            let y = 0;
+            for (let k = degree; k >= 0; k--) y = y * x + p[k];
+            return y;
+        },
+        gradient(p, x) {
+            return p.map((_, k) => Math.pow(x, k));
+        },
+        generate(n, random = Math.random) {
+            const truth = params.map(() => randomBetween(random, -1.5, 1.5));
+            const points = [];
+            for (let i = 0; i < n; i++) {
+                const x = randomBetween(random, -2, 2);
+                points.push({ x, y: this.predict(truth, x) + randomBetween(random, -0.5, 0.5) });
+            }
+            return points;
+        }
+    };
+}
+
+/** @type {Object<string, Model>} */
+const MODELS = {
+    linear: {
+        name: 'Linear Regression',
+        formula: 'y = m₀ + m₁x',
+        params: ['m₀', 'm₁'],
+        initial: [0, 0],
+        ranges: [[-5, 5], [-2, 4]],
+        losses: ['mse', 'mae', 'huber'],
+        learningRate: 0.01,
+        linearInParams: true,
+        predict: (p, x) => p[0] + p[1] * x,
+        gradient: (p, x) => [1, x],
+        generate(n, random = Math.random) {
+            const trueM0 = randomBetween(random, -2, 2);
+            const trueM1 = randomBetween(random, 0.5, 2.5);
+            const points = [];
+            for (let i = 0; i < n; i++) {
+                const x = randomBetween(random, -5, 5);
+                points.push({ x, y: trueM0 + trueM1 * x + randomBetween(random, -1, 1) });
+            }
+            return points;
+        }
+    },
+
+    quadratic: polynomialModel(2, 'Quadratic Regression'),
+
+    cubic: polynomialModel(3, 'Cubic Regression'),
+
+    // Probability of class 1; the labels y are 0 or 1
+    logistic: {
+        name: 'Logistic Regression',
+        formula: 'p = σ(m₀ + m₁x)',
+        params: ['m₀', 'm₁'],
+        initial: [0, 0],
+        ranges: [[-4, 4], [-2, 4]],
+        losses: ['crossEntropy', 'mse'],
+        learningRate: 0.5,
+        predict: (p, x) => sigmoid(p[0] + p[1] * x),
+        gradient(p, x) {
+            const s = sigmoid(p[0] + p[1] * x);
+            return [s * (1 - s), s * (1 - s) * x];
+        },
+        generate(n, random = Math.random) {
+            const trueM0 = randomBetween(random, -1.5, 1.5);
+            const trueM1 = randomBetween(random, 0.8, 2);
+            const points = [];
+            for (let i = 0; i < n; i++) {
+                const x = randomBetween(random, -5, 5);
+                points.push({ x, y: random() < sigmoid(trueM0 + trueM1 * x) ? 1 : 0 });
+            }
+            return points;
+        }
+    },
+
+    // A single sigmoid unit with an output weight: not convex in (w, b)
+    neuron: {
+        name: 'Sigmoid Neuron',
+        formula: 'y = a·σ(wx + b)',
+        params: ['w', 'b', 'a'],
+        initial: [0.5, 0, 1],
+        ranges: [[-3, 3], [-3, 3], [-1, 5]],
+        losses: ['mse', 'mae', 'huber'],
+        learningRate: 0.1,
+        predict: (p, x) => p[2] * sigmoid(p[0] * x + p[1]),
+        gradient(p, x) {
+            const s = sigmoid(p[0] * x + p[1]);
+            const ds = p[2] * s * (1 - s);
+            return [ds * x, ds, s];
+        },
+        generate(n, random = Math.random) {
+            const truth = [randomBetween(random, 0.8, 2), randomBetween(random, -1.5, 1.5), randomBetween(random, 2, 4)];
+            const points = [];
+            for (let i = 0; i < n; i++) {
+                const x = randomBetween(random, -5, 5);
+                points.push({ x, y: this.predict(truth, x) + randomBetween(random, -0.3, 0.3) });
+            }
+            return points;
+        }
+    }
+};
+
+/** @type {Object<string, Loss>} */
+const LOSSES = {
+    mse: {
+        name: 'MSE',
+        formula: '(ŷ − y)²',
+        value: (pred, y) => (pred - y) * (pred - y),
+        derivative: (pred, y) => 2 * (pred - y)
+    },
+
+    mae: {
+        name: 'MAE',
+        formula: '|ŷ − y|',
+        value: (pred, y) => Math.abs(pred - y),
+        derivative: (pred, y) => Math.sign(pred - y)
+    },
+
+    // Quadratic within δ = 1 of the target, linear beyond: MSE near the fit,
+    // MAE's robustness to outliers
+    huber: {
+        name: 'Huber',
+        formula: '½(ŷ − y)² if |ŷ − y| ≤ 1, else |ŷ − y| − ½',
+        value(pred, y) {
+            const r = Math.abs(pred - y);
+            return r <= 1 ? r * r / 2 : r - 0.5;
+        },
+        derivative: (pred, y) => Math.max(-1, Math.min(1, pred - y))
+    },
+
+    // −[y ln p + (1 − y) ln(1 − p)] for a predicted probability p,
+    // clamped away from 0 and 1 so a confident miss stays finite
+    crossEntropy: {
+        name: 'Cross-entropy',
+        formula: '−[y ln ŷ + (1 − y) ln(1 − ŷ)]',
+        value(pred, y) {
+            const p = Math.min(Math.max(pred, 1e-12), 1 - 1e-12);
+            return -(y * Math.log(p) + (1 - y) * Math.log(1 - p));
+        },
+        derivative(pred, y) {
+            const p = Math.min(Math.max(pred, 1e-12), 1 - 1e-12);
+            return (p - y) / (p * (1 - p));
+        }
+    }
+};
+
+/**
+ * Mean loss of a model over a set of points.
+ * @param {Model} model
+ * @param {Loss} loss
+ * @param {number[]} params
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {number}
+ */
+function modelLoss(model, loss, params, points) {
+    let sum = 0;
+    for (const point of points) {
+        sum += loss.value(model.predict(params, point.x), point.y);
+    }
+    return sum / points.length;
+}
+
+/**
+ * Gradient of modelLoss with respect to the parameters.
+ * @param {Model} model
+ * @param {Loss} loss
+ * @param {number[]} params
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {number[]} - One partial derivative per parameter
+ */
+function modelGradient(model, loss, params, points) {
+    const grad = params.map(() => 0);
+    for (const point of points) {
+        const dLoss = loss.derivative(model.predict(params, point.x), point.y);
+        const dPred = model.gradient(params, point.x);
+        for (let i = 0; i < grad.length; i++) grad[i] += dLoss * dPred[i];
+    }
+    return grad.map(g => g / points.length);
+}
+
+/**
+ * Hessian of modelLoss at params, by central differences of modelGradient.
+ * Exact (to rounding) when the loss is quadratic in the parameters.
+ * @param {Model} model
+ * @param {Loss} loss
+ * @param {number[]} params
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {number[][]} - Symmetric matrix, one row per parameter
+ */
+function modelHessian(model, loss, params, points) {
+    const h = 1e-4;
+    const columns = params.map((_, j) => {
+        const plus = params.slice();
+        const minus = params.slice();
+        plus[j] += h;
+        minus[j] -= h;
+        const gPlus = modelGradient(model, loss, plus, points);
+        const gMinus = modelGradient(model, loss, minus, points);
+        return gPlus.map((g, i) => (g - gMinus[i]) / (2 * h));
+    });
+    return params.map((_, i) => params.map((_, j) => (columns[i][j] + columns[j][i]) / 2));
+}
+
+/**
+ * Whether the loss is quadratic in the parameters (linear-in-parameters
+ * model under MSE), so its Hessian is constant and one Newton step from
+ * anywhere lands on the least-squares optimum.
+ * @param {Model} model
+ * @param {Loss} loss
+ * @returns {boolean}
+ */
+function isQuadraticLoss(model, loss) {
+    return Boolean(model.linearInParams) && loss === LOSSES.mse;
+}
+
+// Export for use in modules or direct script inclusion
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MODELS, LOSSES, modelLoss, modelGradient, modelHessian, isQuadraticLoss, sigmoid };
+}
@@ -1,19 +1,14 @@
 // Multivariable Chain Rule 3D Visualization
 // Standalone JavaScript version - just paste into an HTML file with a canvas element
+// The surface and camera come from js/surface-plot.js, which must be loaded first
+// Typed surfaces and curves (setCustomFunction, setCurve) also need js/math-parser.js and js/symbolic.js
+// The level-curve panel (setContourCanvas) needs js/contour-plot.js
 
 class MultivariableChainRuleViz {
     constructor(canvasId) {
         this.canvas = document.getElementById(canvasId);
         this.ctx = this.canvas.getContext('2d');
         
-        // Camera state
-        this.cameraAngleX = 0.3;
-        this.cameraAngleY = 0.8;
-        this.cameraDistance = 8;
-        this.isDragging = false;
-        this.lastMouseX = 0;
-        this.lastMouseY = 0;
-        
         // Point and direction state
         this.pointX = 0;
         this.pointY = 0;
@@ -21,6 +16,21 @@ class MultivariableChainRuleViz {
         this.directionAngle = Math.PI / 2;
         this.magnitude = 1.0;
         
+        // Curve mode: 'line' through the point along directionAngle, or
+        // 'parametric' with entered x(t), y(t) (see setCurve)
+        this.curveMode = 'line';
+        this.curve = null;
+        this.animationId = null;
+        this.animationSpeed = 0.02;
+        
+        // Optional second canvas showing z(t) and dz/dt (see setPlotCanvas)
+        this.plotCanvas = null;
+        this.plotCtx = null;
+        
+        // Optional ContourPlot kept in sync with the 3D view (see setContourCanvas)
+        this.contourPlot = null;
+        this.contourFunction = null;
+        
         // Display toggles
         this.showGrid = true;
         this.showCurve = true;
@@ -30,6 +40,30 @@ class MultivariableChainRuleViz {
         // Current function
         this.currentFunction = 'paraboloid';
         
+        // Heights beyond this are cut off so poles (e.g. 1/(x²+y²)) don't swamp the view
+        this.maxHeight = 10;
+        
+        // Shared surface renderer; it owns the camera (drag to orbit, wheel to zoom)
+        // and calls back into render() so the overlays below are redrawn with it
+        this.surface = new SurfacePlot(this.canvas, {
+            aspect: 'equal',
+            resolution: 25,
+            maxHeight: this.maxHeight,
+            colormap: () => [78, 204, 163],
+            opacity: 0.6,
+            edgeColor: 'rgba(78, 204, 163, 0.3)',
+            showAxes: false,
+            background: null,
+            azimuth: -0.8,
+            elevation: 0.6,
+            distance: 4,
+            minDistance: 1.5,
+            maxDistance: 7.5,
+            focal: 0.85,
+            onRedraw: () => this.render()
+        });
+        this.surfaceFunction = null;
+        
         // Surface functions and their derivatives
         this.functions = {
             paraboloid: {
@@ -58,49 +92,60 @@ class MultivariableChainRuleViz {
             }
         };
         
+        // Ready-made curves for setCurvePreset
+        this.curvePresets = {
+            circle: { x: 'cos(t)', y: 'sin(t)', tMin: 0, tMax: 2 * Math.PI },
+            ellipse: { x: '1.8cos(t)', y: '0.9sin(t)', tMin: 0, tMax: 2 * Math.PI },
+            spiral: { x: '0.3t cos(t)', y: '0.3t sin(t)', tMin: 0, tMax: 2 * Math.PI },
+            figureEight: { x: '1.5sin(t)', y: '1.5sin(t)cos(t)', tMin: 0, tMax: 2 * Math.PI }
+        };
+        
         this.setupEventListeners();
     }
     
     // Parametric curve functions
     getCurvePoint(t) {
+        if (this.curveMode === 'parametric') {
+            return {x: this.curve.x(t), y: this.curve.y(t)};
+        }
         const angle = this.directionAngle;
         const x = this.pointX + this.magnitude * Math.cos(angle) * (t - this.tParam);
         const y = this.pointY + this.magnitude * Math.sin(angle) * (t - this.tParam);
         return {x, y};
     }
     
-    getCurveDerivative() {
+    getCurveDerivative(t = this.tParam) {
+        if (this.curveMode === 'parametric') {
+            return {dx: this.curve.dx(t), dy: this.curve.dy(t)};
+        }
         return {
             dx: this.magnitude * Math.cos(this.directionAngle),
             dy: this.magnitude * Math.sin(this.directionAngle)
         };
     }
     
-    // 3D to 2D projection
+    // t interval drawn and plotted: the whole curve, or a window around the point on the line
+    getCurveRange() {
+        if (this.curveMode === 'parametric') {
+            return {tStart: this.curve.tMin, tEnd: this.curve.tMax};
+        }
+        return {tStart: this.tParam - 2, tEnd: this.tParam + 2};
+    }
+    
+    // z(t) and dz/dt = (∂z/∂x)(dx/dt) + (∂z/∂y)(dy/dt) at one t
+    getCurveValues(t) {
+        const func = this.functions[this.currentFunction];
+        const pt = this.getCurvePoint(t);
+        const deriv = this.getCurveDerivative(t);
+        return {
+            z: func.f(pt.x, pt.y),
+            dzdt: func.dfdx(pt.x, pt.y) * deriv.dx + func.dfdy(pt.x, pt.y) * deriv.dy
+        };
+    }
+    
+    // 3D to 2D projection, using the surface plot's camera
     project3D(x, y, z) {
-        // Rotate around Y axis
-        const cosY = Math.cos(this.cameraAngleY);
-        const sinY = Math.sin(this.cameraAngleY);
-        let x1 = x * cosY - z * sinY;
-        let z1 = x * sinY + z * cosY;
-        let y1 = y;
-        
-        // Rotate around X axis
-        const cosX = Math.cos(this.cameraAngleX);
-        const sinX = Math.sin(this.cameraAngleX);
-        let y2 = y1 * cosX - z1 * sinX;
-        let z2 = y1 * sinX + z1 * cosX;
-        let x2 = x1;
-        
-        // Apply distance
-        z2 += this.cameraDistance;
-        
-        // Perspective projection
-        const scale = 600 / z2;
-        const screenX = this.canvas.width / 2 + x2 * scale;
-        const screenY = this.canvas.height / 2 - y2 * scale;
-        
-        return {x: screenX, y: screenY, depth: z2};
+        return this.surface.project(x, y, z);
     }
     
     // Draw axes
@@ -161,86 +206,20 @@ class MultivariableChainRuleViz {
         }
     }
     
-    // Draw the surface
+    // Draw the surface (resampled only when the function changes)
     drawSurface() {
         const func = this.functions[this.currentFunction];
-        const resolution = 25;
-        const range = 2;
-        const step = (2 * range) / resolution;
-        
-        // Create mesh triangles
-        const triangles = [];
-        
-        for (let i = 0; i < resolution; i++) {
-            for (let j = 0; j < resolution; j++) {
-                const x1 = -range + i * step;
-                const y1 = -range + j * step;
-                const x2 = x1 + step;
-                const y2 = y1 + step;
-                
-                const z1 = func.f(x1, y1);
-                const z2 = func.f(x2, y1);
-                const z3 = func.f(x1, y2);
-                const z4 = func.f(x2, y2);
-                
-                // Two triangles per grid square
-                triangles.push({
-                    p1: {x: x1, y: y1, z: z1},
-                    p2: {x: x2, y: y1, z: z2},
-                    p3: {x: x1, y: y2, z: z3}
-                });
-                
-                triangles.push({
-                    p1: {x: x2, y: y1, z: z2},
-                    p2: {x: x2, y: y2, z: z4},
-                    p3: {x: x1, y: y2, z: z3}
-                });
-            }
+        if (this.surfaceFunction !== func) {
+            this.surfaceFunction = func;
+            this.surface.f = func.f;
+            this.surface.sample();
         }
-        
-        // Sort triangles by depth (painter's algorithm)
-        triangles.forEach(tri => {
-            const avgZ = (tri.p1.z + tri.p2.z + tri.p3.z) / 3;
-            const avgX = (tri.p1.x + tri.p2.x + tri.p3.x) / 3;
-            const avgY = (tri.p1.y + tri.p2.y + tri.p3.y) / 3;
-            const proj = this.project3D(avgX, avgY, avgZ);
-            tri.depth = proj.depth;
-        });
-        
-        triangles.sort((a, b) => b.depth - a.depth);
-        
-        // Draw triangles
-        triangles.forEach(tri => {
-            const p1 = this.project3D(tri.p1.x, tri.p1.y, tri.p1.z);
-            const p2 = this.project3D(tri.p2.x, tri.p2.y, tri.p2.z);
-            const p3 = this.project3D(tri.p3.x, tri.p3.y, tri.p3.z);
-            
-            // Calculate lighting based on normal
-            const v1x = tri.p2.x - tri.p1.x;
-            const v1y = tri.p2.y - tri.p1.y;
-            const v1z = tri.p2.z - tri.p1.z;
-            const v2x = tri.p3.x - tri.p1.x;
-            const v2y = tri.p3.y - tri.p1.y;
-            const v2z = tri.p3.z - tri.p1.z;
-            
-            const nx = v1y * v2z - v1z * v2y;
-            const ny = v1z * v2x - v1x * v2z;
-            const nz = v1x * v2y - v1y * v2x;
-            
-            const lightDot = Math.max(0.2, (nx + ny + nz * 2) / Math.sqrt(nx*nx + ny*ny + nz*nz) * 0.5 + 0.5);
-            
-            this.ctx.fillStyle = `rgba(78, 204, 163, ${lightDot * 0.6})`;
-            this.ctx.strokeStyle = `rgba(78, 204, 163, 0.3)`;
-            this.ctx.lineWidth = 0.5;
-            
-            this.ctx.beginPath();
-            this.ctx.moveTo(p1.x, p1.y);
-            this.ctx.lineTo(p2.x, p2.y);
-            this.ctx.lineTo(p3.x, p3.y);
-            this.ctx.closePath();
-            this.ctx.fill();
-            this.ctx.stroke();
-        });
+        this.surface.drawSurface();
+    }
+    
+    // True if a surface height can be drawn (finite and within maxHeight)
+    isDrawableHeight(z) {
+        return Number.isFinite(z) && Math.abs(z) <= this.maxHeight;
     }
     
     // Draw the parametric curve through the surface
@@ -248,10 +227,8 @@ class MultivariableChainRuleViz {
         if (!this.showCurve) return;
         
         const func = this.functions[this.currentFunction];
-        const tRange = 2;
-        const tStart = this.tParam - tRange;
-        const tEnd = this.tParam + tRange;
-        const steps = 100;
+        const {tStart, tEnd} = this.getCurveRange();
+        const steps = this.curveMode === 'parametric' ? 200 : 100;
         
         this.ctx.strokeStyle = '#ffe66d';
         this.ctx.lineWidth = 3;
@@ -262,6 +239,12 @@ class MultivariableChainRuleViz {
             const t = tStart + (tEnd - tStart) * i / steps;
             const pt = this.getCurvePoint(t);
             const z = func.f(pt.x, pt.y);
+            
+            // Lift the pen over gaps in the surface
+            if (!this.isDrawableHeight(z)) {
+                first = true;
+                continue;
+            }
             const proj = this.project3D(pt.x, pt.y, z);
             
             if (first) {
@@ -447,13 +430,160 @@ class MultivariableChainRuleViz {
         };
     }
     
+    // Draw a message in the top-left corner of the canvas
+    drawWarning(message) {
+        this.ctx.font = '16px Arial';
+        this.ctx.fillStyle = '#ff6b6b';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillText(message, 15, 15);
+    }
+    
+    // Plot z(t) and dz/dt over the curve's t range, with a marker at the current t
+    drawCurvePlot() {
+        if (!this.plotCanvas) return;
+        
+        const ctx = this.plotCtx;
+        const width = this.plotCanvas.width;
+        const height = this.plotCanvas.height;
+        const pad = 35;
+        ctx.clearRect(0, 0, width, height);
+        
+        const {tStart, tEnd} = this.getCurveRange();
+        const steps = 200;
+        const samples = [];
+        for (let i = 0; i <= steps; i++) {
+            const t = tStart + (tEnd - tStart) * i / steps;
+            samples.push({t, ...this.getCurveValues(t)});
+        }
+        
+        // Shared vertical scale, ignoring undefined values and poles
+        const finite = samples.flatMap(s => [s.z, s.dzdt]).filter(v => this.isDrawableHeight(v));
+        let vMin = Math.min(0, ...finite);
+        let vMax = Math.max(0, ...finite);
+        if (vMax - vMin < 1e-6) {
+            vMin -= 1;
+            vMax += 1;
+        }
+        const toX = t => pad + (t - tStart) / (tEnd - tStart) * (width - 2 * pad);
+        const toY = v => height - pad - (v - vMin) / (vMax - vMin) * (height - 2 * pad);
+        
+        // Axes: t axis at v = 0
+        ctx.strokeStyle = '#4a5568';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(pad, toY(0));
+        ctx.lineTo(width - pad, toY(0));
+        ctx.moveTo(pad, pad);
+        ctx.lineTo(pad, height - pad);
+        ctx.stroke();
+        
+        ctx.fillStyle = '#aaa';
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(vMax.toFixed(1), pad - 4, toY(vMax));
+        ctx.fillText(vMin.toFixed(1), pad - 4, toY(vMin));
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(tStart.toFixed(2), pad, height - pad + 6);
+        ctx.fillText(tEnd.toFixed(2), width - pad, height - pad + 6);
+        ctx.fillText('t', width / 2, height - pad + 6);
+        
+        const plotSeries = (key, color) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            let first = true;
+            samples.forEach(s => {
+                if (!this.isDrawableHeight(s[key])) {
+                    first = true;
+                    return;
+                }
+                if (first) {
+                    ctx.moveTo(toX(s.t), toY(s[key]));
+                    first = false;
+                } else {
+                    ctx.lineTo(toX(s.t), toY(s[key]));
+                }
+            });
+            ctx.stroke();
+        };
+        plotSeries('z', '#4ecca3');
+        plotSeries('dzdt', '#00d9ff');
+        
+        // Current t
+        ctx.strokeStyle = 'rgba(233, 69, 96, 0.6)';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(toX(this.tParam), pad);
+        ctx.lineTo(toX(this.tParam), height - pad);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        const now = this.getCurveValues(this.tParam);
+        [['z', '#e94560'], ['dzdt', '#00d9ff']].forEach(([key, color]) => {
+            if (!this.isDrawableHeight(now[key])) return;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(toX(this.tParam), toY(now[key]), 5, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+        
+        // Legend
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.font = '12px Arial';
+        ctx.fillStyle = '#4ecca3';
+        ctx.fillText('z(t)', pad + 10, 8);
+        ctx.fillStyle = '#00d9ff';
+        ctx.fillText('dz/dt', pad + 60, 8);
+    }
+    
+    // Mirror the surface, point and curve onto the contour panel
+    syncContourPlot() {
+        if (!this.contourPlot) return;
+        
+        const func = this.functions[this.currentFunction];
+        // Resampling the grid is the slow part, so only do it when f changes
+        if (this.contourFunction !== func) {
+            this.contourFunction = func;
+            this.contourPlot.f = func.f;
+            this.contourPlot.gradient = (x, y) => [func.dfdx(x, y), func.dfdy(x, y)];
+            this.contourPlot.sample();
+        }
+        
+        const {tStart, tEnd} = this.getCurveRange();
+        const points = [];
+        for (let i = 0; i <= 200; i++) {
+            points.push(this.getCurvePoint(tStart + (tEnd - tStart) * i / 200));
+        }
+        this.contourPlot.paths = this.showCurve ? [{points, color: '#ffe66d'}] : [];
+        this.contourPlot.point = {x: this.pointX, y: this.pointY};
+        this.contourPlot.render();
+    }
+    
     // Main render function
     render() {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.drawCurvePlot();
+        this.syncContourPlot();
         
         this.drawGrid();
         this.drawAxes();
         this.drawSurface();
+        
+        // Tangent plane, vectors and point need f and both partials at the point
+        const values = this.getChainRuleValues();
+        if (![values.z, values.dzdx, values.dzdy].every(Number.isFinite)) {
+            this.drawCurve();
+            const where = `(${this.pointX.toFixed(2)}, ${this.pointY.toFixed(2)})`;
+            this.drawWarning(Number.isFinite(values.z)
+                ? `f is not differentiable at ${where}`
+                : `f is undefined at ${where}`);
+            return;
+        }
+        
         this.drawTangentPlane();
         this.drawCurve();
         this.drawVectors();
@@ -462,43 +592,10 @@ class MultivariableChainRuleViz {
     
     // Setup event listeners
     setupEventListeners() {
-        this.canvas.addEventListener('mousedown', (e) => {
-            this.isDragging = true;
-            this.lastMouseX = e.clientX;
-            this.lastMouseY = e.clientY;
-        });
-        
-        this.canvas.addEventListener('mousemove', (e) => {
-            if (this.isDragging) {
-                const dx = e.clientX - this.lastMouseX;
-                const dy = e.clientY - this.lastMouseY;
-                
-                this.cameraAngleY += dx * 0.01;
-                this.cameraAngleX += dy * 0.01;
-                
-                // Clamp camera angle
-                this.cameraAngleX = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.cameraAngleX));
-                
-                this.lastMouseX = e.clientX;
-                this.lastMouseY = e.clientY;
-                
-                this.render();
-            }
-        });
-        
-        this.canvas.addEventListener('mouseup', () => {
-            this.isDragging = false;
-        });
-        
-        this.canvas.addEventListener('wheel', (e) => {
-            e.preventDefault();
-            this.cameraDistance += e.deltaY * 0.01;
-            this.cameraDistance = Math.max(3, Math.min(15, this.cameraDistance));
-            this.render();
-        });
-        
+        // Rotation and zoom are handled by this.surface
         this.canvas.addEventListener('click', (e) => {
-            if (this.isDragging) return;
+            // A drag rotates the view; on an entered curve the point is driven by t instead
+            if (this.surface.dragged || this.curveMode === 'parametric') return;
             
             // Simple approximation: find point on xy plane nearest to click
             const rect = this.canvas.getBoundingClientRect();
@@ -537,12 +634,166 @@ class MultivariableChainRuleViz {
         }
     }
     
+    /**
+     * Show a typed surface z = f(x, y). The partial derivatives are worked out
+     * symbolically, so the tangent plane and chain-rule vectors follow along.
+     * @param {string} expr - Right-hand side in x and y, e.g. "x*y" or "sin(x)*exp(-y^2)"
+     * @returns {Object} - The new entry, stored as this.functions.custom
+     * @throws {ExpressionError} - If the text cannot be parsed
+     * @throws {Error} - If f has no derivative rule or is undefined everywhere on the plotted square
+     */
+    setCustomFunction(expr) {
+        const variables = ['x', 'y'];
+        const ast = parseExpression(expr, variables);
+        const f = compileAST(ast, variables);
+        const dfdx = differentiateExpression(ast, 'x', variables);
+        const dfdy = differentiateExpression(ast, 'y', variables);
+        
+        // A surface with no drawable point would leave a blank canvas
+        let drawable = false;
+        for (let x = -2; x <= 2 && !drawable; x += 0.25) {
+            for (let y = -2; y <= 2 && !drawable; y += 0.25) {
+                drawable = this.isDrawableHeight(f(x, y));
+            }
+        }
+        if (!drawable) {
+            throw new Error(`z = ${expr} is undefined or larger than ±${this.maxHeight} everywhere on [-2, 2] × [-2, 2]`);
+        }
+        
+        this.functions.custom = {
+            f,
+            dfdx: dfdx.fn,
+            dfdy: dfdy.fn,
+            name: `z = ${expr}`,
+            dfdxText: dfdx.text,
+            dfdyText: dfdy.text
+        };
+        this.currentFunction = 'custom';
+        this.render();
+        return this.functions.custom;
+    }
+    
     setPoint(x, y) {
         this.pointX = x;
         this.pointY = y;
         this.render();
     }
     
+    /**
+     * Follow an entered curve (x(t), y(t)) instead of the straight line.
+     * dx/dt and dy/dt are found symbolically; the point moves to (x(t), y(t)).
+     * @param {string} xExpr - x(t), e.g. "cos(t)"
+     * @param {string} yExpr - y(t), e.g. "sin(t)"
+     * @param {number} tMin - Start of the t interval (default: 0)
+     * @param {number} tMax - End of the t interval (default: 2π)
+     * @throws {ExpressionError} - If either text cannot be parsed
+     * @throws {Error} - If the interval is empty or the curve is undefined at its start
+     */
+    setCurve(xExpr, yExpr, tMin = 0, tMax = 2 * Math.PI) {
+        if (!(tMax > tMin)) throw new Error('The t interval must have tMax > tMin');
+        
+        const variables = ['t'];
+        const xAst = parseExpression(xExpr, variables);
+        const yAst = parseExpression(yExpr, variables);
+        const x = differentiateExpression(xAst, 't', variables);
+        const y = differentiateExpression(yAst, 't', variables);
+        const curve = {
+            x: compileAST(xAst, variables),
+            y: compileAST(yAst, variables),
+            dx: x.fn,
+            dy: y.fn,
+            xText: xExpr,
+            yText: yExpr,
+            dxText: x.text,
+            dyText: y.text,
+            tMin,
+            tMax
+        };
+        if (!Number.isFinite(curve.x(tMin)) || !Number.isFinite(curve.y(tMin))) {
+            throw new Error(`The curve is undefined at t = ${tMin}`);
+        }
+        
+        this.curve = curve;
+        this.curveMode = 'parametric';
+        this.setT(Math.min(Math.max(this.tParam, tMin), tMax));
+    }
+    
+    // Use one of this.curvePresets ('circle', 'ellipse', 'spiral', 'figureEight')
+    setCurvePreset(name) {
+        const preset = this.curvePresets[name];
+        if (preset) this.setCurve(preset.x, preset.y, preset.tMin, preset.tMax);
+    }
+    
+    // Go back to the straight line through the point
+    setLineMode() {
+        this.stopAnimation();
+        this.curveMode = 'line';
+        this.render();
+    }
+    
+    // Move along the curve; on an entered curve this also moves the point
+    setT(t) {
+        this.tParam = t;
+        if (this.curveMode === 'parametric') {
+            const pt = this.getCurvePoint(t);
+            this.pointX = pt.x;
+            this.pointY = pt.y;
+        }
+        this.render();
+    }
+    
+    // Show z(t) and dz/dt on a second canvas, redrawn with the 3D view
+    setPlotCanvas(canvasId) {
+        this.plotCanvas = document.getElementById(canvasId);
+        this.plotCtx = this.plotCanvas.getContext('2d');
+        this.render();
+    }
+    
+    /**
+     * Show level curves and the ∇f field on a second canvas. Clicking the map
+     * moves the point (in straight-line mode).
+     * @param {string} canvasId - Canvas for the ContourPlot
+     * @param {Object} options - Extra ContourPlot options (levels, quiverCount, ...)
+     * @returns {ContourPlot}
+     */
+    setContourCanvas(canvasId, options = {}) {
+        this.contourPlot = new ContourPlot(canvasId, Object.assign({
+            xRange: [-2, 2],
+            yRange: [-2, 2],
+            onPointSelect: (x, y) => {
+                if (this.curveMode === 'line') this.setPoint(x, y);
+            }
+        }, options));
+        this.contourFunction = null;
+        this.render();
+        return this.contourPlot;
+    }
+    
+    toggleGradientField() {
+        if (this.contourPlot) this.contourPlot.toggleGradient();
+    }
+    
+    // Run the point along the entered curve, wrapping at the end of the t interval
+    startAnimation() {
+        if (this.curveMode !== 'parametric' || this.animationId !== null) return;
+        
+        const step = () => {
+            const {tMin, tMax} = this.curve;
+            let t = this.tParam + this.animationSpeed * (tMax - tMin) / (2 * Math.PI);
+            if (t > tMax) t = tMin;
+            this.setT(t);
+            this.animationId = requestAnimationFrame(step);
+        };
+        this.animationId = requestAnimationFrame(step);
+    }
+    
+    stopAnimation() {
+        if (this.animationId !== null) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+    
     setDirection(angle, mag = 1.0) {
         this.directionAngle = angle;
         this.magnitude = mag;
@@ -578,9 +829,18 @@ class MultivariableChainRuleViz {
 //     
 //     // Optional: Add controls
 //     viz.setFunction('saddle');  // 'paraboloid', 'saddle', 'waves', 'hill'
+//     viz.setCustomFunction('x*y*exp(-(x^2+y^2)/2)');  // any f(x, y), throws on bad input
 //     viz.setPoint(1, 1);
 //     viz.setDirection(Math.PI/4, 1.5);
 //     
+//     // Or follow a curve and plot z(t), dz/dt on a second canvas
+//     viz.setCurve('cos(t)', 'sin(t)');  // or viz.setCurvePreset('spiral')
+//     viz.setPlotCanvas('plotCanvas');
+//     viz.startAnimation();
+//     
+//     // Level curves + gradient field; click the map to move the point
+//     viz.setContourCanvas('contourCanvas');
+//     
 //     // Get values
 //     const values = viz.getChainRuleValues();
 //     console.log('dz/dt =', values.dzdt);
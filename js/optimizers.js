@@ -0,0 +1,136 @@
+// Gradient-based optimizers
+//
+// Each optimizer updates a parameter vector (array of numbers) from the
+// gradient and keeps whatever it needs between steps (velocity, running
+// averages of squared gradients, ...) in a plain state object, so several
+// can run side by side on the same loss.
+//
+// Usage:
+//   <script src="../js/optimizers.js"></script>
+//   const state = {};
+//   const hyper = optimizerDefaults('adam');
+//   let params = [0, 0];
+//   params = OPTIMIZERS.adam.step(params, gradient, state, hyper);   // gradient: params -> array
+
+/**
+ * @typedef {Object} Optimizer
+ * @property {string} name - Display name
+ * @property {string} color - Path color
+ * @property {Array<{key: string, label: string, value: number, step: number}>} hyperparameters
+ * @property {Function} step - (params, gradient, state, hyper) -> new params
+ */
+
+/** @type {Object<string, Optimizer>} */
+const OPTIMIZERS = {
+    gd: {
+        name: 'Gradient descent',
+        color: '#4ecca3',
+        hyperparameters: [
+            { key: 'learningRate', label: 'α', value: 0.01, step: 0.005 }
+        ],
+        step(params, gradient, state, { learningRate }) {
+            const g = gradient(params);
+            return params.map((p, i) => p - learningRate * g[i]);
+        }
+    },
+
+    // Heavy ball: v ← βv + ∇f, m ← m − αv
+    momentum: {
+        name: 'Momentum',
+        color: '#ff9d76',
+        hyperparameters: [
+            { key: 'learningRate', label: 'α', value: 0.01, step: 0.005 },
+            { key: 'beta', label: 'β', value: 0.9, step: 0.05 }
+        ],
+        step(params, gradient, state, { learningRate, beta }) {
+            const g = gradient(params);
+            state.velocity = (state.velocity || g.map(() => 0)).map((v, i) => beta * v + g[i]);
+            return params.map((p, i) => p - learningRate * state.velocity[i]);
+        }
+    },
+
+    // Momentum with the gradient taken at the look-ahead point m − αβv
+    nesterov: {
+        name: 'Nesterov',
+        color: '#c77dff',
+        hyperparameters: [
+            { key: 'learningRate', label: 'α', value: 0.01, step: 0.005 },
+            { key: 'beta', label: 'β', value: 0.9, step: 0.05 }
+        ],
+        step(params, gradient, state, { learningRate, beta }) {
+            const v = state.velocity || params.map(() => 0);
+            const g = gradient(params.map((p, i) => p - learningRate * beta * v[i]));
+            state.velocity = v.map((vi, i) => beta * vi + g[i]);
+            return params.map((p, i) => p - learningRate * state.velocity[i]);
+        }
+    },
+
+    // Per-parameter rate α / √(Σ g²): steep directions slow down for good
+    adagrad: {
+        name: 'AdaGrad',
+        color: '#ffe66d',
+        hyperparameters: [
+            { key: 'learningRate', label: 'α', value: 0.5, step: 0.05 },
+            { key: 'epsilon', label: 'ε', value: 1e-8, step: 1e-8 }
+        ],
+        step(params, gradient, state, { learningRate, epsilon }) {
+            const g = gradient(params);
+            state.sumSquares = (state.sumSquares || g.map(() => 0)).map((s, i) => s + g[i] * g[i]);
+            return params.map((p, i) => p - learningRate * g[i] / (Math.sqrt(state.sumSquares[i]) + epsilon));
+        }
+    },
+
+    // Like AdaGrad, but with a decaying average so the rate can recover
+    rmsprop: {
+        name: 'RMSProp',
+        color: '#00d9ff',
+        hyperparameters: [
+            { key: 'learningRate', label: 'α', value: 0.05, step: 0.005 },
+            { key: 'beta', label: 'β', value: 0.9, step: 0.01 },
+            { key: 'epsilon', label: 'ε', value: 1e-8, step: 1e-8 }
+        ],
+        step(params, gradient, state, { learningRate, beta, epsilon }) {
+            const g = gradient(params);
+            state.meanSquares = (state.meanSquares || g.map(() => 0)).map((s, i) => beta * s + (1 - beta) * g[i] * g[i]);
+            return params.map((p, i) => p - learningRate * g[i] / (Math.sqrt(state.meanSquares[i]) + epsilon));
+        }
+    },
+
+    // Momentum + RMSProp with bias correction for the first few steps
+    adam: {
+        name: 'Adam',
+        color: '#ff6bcb',
+        hyperparameters: [
+            { key: 'learningRate', label: 'α', value: 0.1, step: 0.01 },
+            { key: 'beta1', label: 'β₁', value: 0.9, step: 0.01 },
+            { key: 'beta2', label: 'β₂', value: 0.999, step: 0.001 },
+            { key: 'epsilon', label: 'ε', value: 1e-8, step: 1e-8 }
+        ],
+        step(params, gradient, state, { learningRate, beta1, beta2, epsilon }) {
+            const g = gradient(params);
+            state.t = (state.t || 0) + 1;
+            state.m = (state.m || g.map(() => 0)).map((m, i) => beta1 * m + (1 - beta1) * g[i]);
+            state.v = (state.v || g.map(() => 0)).map((v, i) => beta2 * v + (1 - beta2) * g[i] * g[i]);
+            const mScale = 1 / (1 - Math.pow(beta1, state.t));
+            const vScale = 1 / (1 - Math.pow(beta2, state.t));
+            return params.map((p, i) =>
+                p - learningRate * (state.m[i] * mScale) / (Math.sqrt(state.v[i] * vScale) + epsilon));
+        }
+    }
+};
+
+/**
+ * Default hyperparameters of an optimizer.
+ * @param {string} name - Key of OPTIMIZERS
+ * @returns {Object<string, number>} - e.g. { learningRate: 0.1, beta1: 0.9, ... }
+ */
+function optimizerDefaults(name) {
+    const hyper = {};
+    OPTIMIZERS[name].hyperparameters.forEach(h => { hyper[h.key] = h.value; });
+    return hyper;
+}
+
+// Export for use in modules or direct script inclusion
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OPTIMIZERS, optimizerDefaults };
+}
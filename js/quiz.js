@@ -1,4 +1,656 @@
 // Quiz functionality
+//
+// Every question on a page is registered automatically from its
+// `<id>-feedback` element. Attempts and results are saved to localStorage
+// (keyed by student, page and question id), restored on reload, and summarized in a
+// progress panel inserted above the page footer.
+//
+// Questions can also be rendered from definitions with renderQuiz(). Template
+// definitions (with `params`) draw per-student random numbers from random.js,
+// and typed answers are read with math-parser.js, so pages using them load
+// both of those files before this one.
+
+const QUIZ_STORAGE_PREFIX = 'quiz-progress:';
+
+const quizEngine = {
+    questions: {},   // id -> {id, kind, label}
+    progress: {},    // id -> {attempts, correct, response}
+    summaryPanel: null,
+    studentId: null,
+    hasTemplates: false
+};
+
+// Each student keeps separate progress, so opening a page with ?student=...
+// (see getStudentId) does not mix with the progress saved on this browser
+function quizStorageKey() {
+    return `${QUIZ_STORAGE_PREFIX}${getStudentId()}:${window.location.pathname}`;
+}
+
+function loadQuizProgress() {
+    try {
+        return JSON.parse(localStorage.getItem(quizStorageKey())) || {};
+    } catch (e) {
+        // Storage disabled (private mode, file:// in some browsers)
+        return {};
+    }
+}
+
+function saveQuizProgress() {
+    try {
+        localStorage.setItem(quizStorageKey(), JSON.stringify(quizEngine.progress));
+    } catch (e) {
+        // Progress still works for this visit, it just won't persist
+    }
+}
+
+/**
+ * Register a question so it counts toward the page score.
+ * Called automatically for every `.feedback` element on load.
+ * @param {string} questionId - Question id (the prefix of `<id>-feedback`)
+ * @param {Object} info - {kind: 'exploration'|'practice', label: string}
+ */
+function registerQuestion(questionId, info = {}) {
+    quizEngine.questions[questionId] = {
+        id: questionId,
+        kind: info.kind || 'practice',
+        label: info.label || questionId
+    };
+}
+
+/**
+ * Record one checked answer and update storage and the summary panel.
+ * @param {string} questionId - Question id
+ * @param {boolean} isCorrect - Whether this attempt was right
+ * @param {*} response - What the student entered (restored on reload)
+ */
+function recordAttempt(questionId, isCorrect, response) {
+    if (!quizEngine.questions[questionId]) {
+        registerQuestion(questionId);
+    }
+    const entry = quizEngine.progress[questionId] || { attempts: 0, correct: false };
+    entry.attempts++;
+    // Once answered correctly a question stays completed
+    entry.correct = entry.correct || isCorrect;
+    entry.response = response;
+    quizEngine.progress[questionId] = entry;
+    saveQuizProgress();
+    renderQuizSummary();
+}
+
+/**
+ * Score for the current page.
+ * @returns {{correct: number, attempted: number, total: number, attempts: number, percent: number}}
+ */
+function getQuizScore() {
+    const ids = Object.keys(quizEngine.questions);
+    let correct = 0, attempted = 0, attempts = 0;
+    ids.forEach(id => {
+        const entry = quizEngine.progress[id];
+        if (!entry) return;
+        attempted++;
+        attempts += entry.attempts;
+        if (entry.correct) correct++;
+    });
+    return {
+        correct,
+        attempted,
+        total: ids.length,
+        attempts,
+        percent: ids.length ? Math.round(100 * correct / ids.length) : 0
+    };
+}
+
+/**
+ * Forget all saved answers for this page.
+ */
+function resetQuizProgress() {
+    quizEngine.progress = {};
+    saveQuizProgress();
+    Object.keys(quizEngine.questions).forEach(id => {
+        const feedback = document.getElementById(`${id}-feedback`);
+        if (feedback) {
+            feedback.className = 'feedback';
+            feedback.textContent = '';
+        }
+        document.querySelectorAll(`input[name="${id}"]`).forEach(input => {
+            input.checked = false;
+            const option = input.closest('.option');
+            if (option) option.classList.remove('selected', 'correct', 'incorrect');
+        });
+        const numeric = document.getElementById(`${id}-input`);
+        if (numeric) {
+            numeric.value = '';
+            numeric.style.borderColor = '';
+        }
+    });
+    renderQuizSummary();
+}
+
+// Find every question on the page from its feedback element
+function discoverQuestions() {
+    document.querySelectorAll('.feedback[id$="-feedback"]').forEach(feedback => {
+        const id = feedback.id.slice(0, -'-feedback'.length);
+        const container = feedback.closest('.exploration, .question');
+        const kind = container && container.classList.contains('exploration') ? 'exploration' : 'practice';
+        const heading = container && container.querySelector('h4, .question-text strong');
+        let label = heading ? heading.textContent.trim().replace(/:$/, '') : id;
+        // Multi-part questions (q1a, q1b, ...) share one heading
+        const part = /^q\d+([a-z])$/.exec(id);
+        if (part) label += ` (${part[1]})`;
+        if (!quizEngine.questions[id]) registerQuestion(id, { kind, label });
+    });
+}
+
+// Put saved answers back into the page without counting new attempts
+function restoreSavedAnswers() {
+    Object.keys(quizEngine.progress).forEach(id => {
+        const entry = quizEngine.progress[id];
+        const feedback = document.getElementById(`${id}-feedback`);
+        if (!feedback || entry.response === undefined) return;
+
+        const values = Array.isArray(entry.response) ? entry.response : [entry.response];
+        const inputs = document.querySelectorAll(`input[name="${id}"]`);
+        inputs.forEach(input => {
+            input.checked = values.includes(input.value);
+            const option = input.closest('.option');
+            if (option) option.classList.toggle('selected', input.checked);
+        });
+        const numeric = document.getElementById(`${id}-input`);
+        if (numeric) numeric.value = entry.response;
+
+        const tries = `${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'}`;
+        if (entry.correct) {
+            feedback.className = 'feedback correct';
+            feedback.textContent = `✓ Completed (${tries}).`;
+            const explanation = feedback.parentNode.querySelector('.quiz-explanation');
+            if (explanation) explanation.hidden = false;
+        } else {
+            feedback.className = 'feedback incorrect';
+            feedback.textContent = `✗ Not yet correct (${tries}). Try again!`;
+        }
+    });
+}
+
+function renderQuizSummary() {
+    const panel = quizEngine.summaryPanel;
+    if (!panel) return;
+
+    const score = getQuizScore();
+    const groups = [
+        { kind: 'exploration', title: 'Explorations' },
+        { kind: 'practice', title: 'Practice Questions' }
+    ];
+
+    panel.innerHTML = '';
+    const heading = document.createElement('h2');
+    heading.textContent = '📋 Your Progress';
+    panel.appendChild(heading);
+
+    const total = document.createElement('p');
+    total.className = 'quiz-summary-score';
+    total.textContent = `Score: ${score.correct} / ${score.total} correct (${score.percent}%) · ` +
+        `${score.attempts} attempt${score.attempts === 1 ? '' : 's'} total`;
+    panel.appendChild(total);
+
+    if (quizEngine.hasTemplates) {
+        const version = document.createElement('p');
+        version.className = 'quiz-summary-version';
+        version.textContent = `Your question version: ${getStudentId()} ` +
+            `(add ?student=${getStudentId()} to the page address to see the same numbers elsewhere)`;
+        panel.appendChild(version);
+    }
+
+    groups.forEach(group => {
+        const items = Object.values(quizEngine.questions).filter(q => q.kind === group.kind);
+        if (items.length === 0) return;
+
+        const title = document.createElement('h4');
+        const done = items.filter(q => (quizEngine.progress[q.id] || {}).correct).length;
+        title.textContent = `${group.title} (${done}/${items.length})`;
+        panel.appendChild(title);
+
+        const list = document.createElement('ul');
+        list.className = 'quiz-summary-list';
+        items.forEach(q => {
+            const entry = quizEngine.progress[q.id];
+            const li = document.createElement('li');
+            let status = 'not started';
+            li.className = 'pending';
+            if (entry && entry.correct) {
+                status = `✓ completed in ${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'}`;
+                li.className = 'done';
+            } else if (entry) {
+                status = `✗ ${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'}`;
+                li.className = 'tried';
+            }
+            li.textContent = `${q.label} — ${status}`;
+            list.appendChild(li);
+        });
+        panel.appendChild(list);
+    });
+
+    const reset = document.createElement('button');
+    reset.className = 'check-btn';
+    reset.textContent = 'Reset Progress';
+    reset.addEventListener('click', () => {
+        if (confirm('Clear all saved answers on this page?')) resetQuizProgress();
+    });
+    panel.appendChild(reset);
+}
+
+function initQuizEngine() {
+    quizEngine.progress = loadQuizProgress();
+    discoverQuestions();
+    if (Object.keys(quizEngine.questions).length === 0) return;
+
+    restoreSavedAnswers();
+
+    const panel = document.createElement('div');
+    panel.className = 'section quiz-summary';
+    const footer = document.querySelector('.page-container > footer, footer');
+    if (footer) {
+        footer.parentNode.insertBefore(panel, footer);
+    } else {
+        document.body.appendChild(panel);
+    }
+    quizEngine.summaryPanel = panel;
+    renderQuizSummary();
+}
+
+document.addEventListener('DOMContentLoaded', initQuizEngine);
+
+// ---------------------------------------------------------------------------
+// Declarative questions
+// ---------------------------------------------------------------------------
+
+/**
+ * Shuffle an array in place (Fisher-Yates).
+ * @param {Array} items - Array to shuffle
+ * @param {Function} random - Source of numbers in [0, 1) (default: Math.random)
+ * @returns {Array} - The same array
+ */
+function shuffleInPlace(items, random = Math.random) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+function setFeedback(feedback, isCorrect, message) {
+    feedback.className = `feedback ${isCorrect ? 'correct' : 'incorrect'}`;
+    feedback.textContent = message;
+}
+
+// Show the explanation under the feedback once a question is answered correctly
+function showExplanation(block, def) {
+    const box = block.querySelector('.quiz-explanation');
+    if (!box || !def.explanation) return;
+    box.hidden = false;
+    if (window.renderMathInElement) renderQuizMath(box);
+}
+
+function renderQuizMath(element) {
+    renderMathInElement(element, {
+        delimiters: [
+            {left: '$$', right: '$$', display: true},
+            {left: '\\[', right: '\\]', display: true},
+            {left: '$', right: '$', display: false},
+            {left: '\\(', right: '\\)', display: false}
+        ]
+    });
+}
+
+function buildChoiceInputs(def, block) {
+    const multiple = def.type === 'multiple';
+    const inputType = multiple ? 'checkbox' : 'radio';
+    const order = def.choices.map((text, index) => ({ text, index }));
+    if (def.shuffle) shuffleInPlace(order, def.random);
+
+    const list = document.createElement('div');
+    list.className = 'options';
+    order.forEach(({ text, index }) => {
+        const option = document.createElement('div');
+        option.className = 'option';
+        const input = document.createElement('input');
+        input.type = inputType;
+        input.name = def.id;
+        input.value = String(index);
+        option.appendChild(input);
+        option.insertAdjacentHTML('beforeend', ' ' + text);
+        option.addEventListener('click', e => {
+            if (multiple) {
+                // Clicking the checkbox itself already toggled it
+                if (e.target !== input) input.checked = !input.checked;
+                option.classList.toggle('selected', input.checked);
+            } else {
+                list.querySelectorAll('.option').forEach(o => o.classList.remove('selected'));
+                input.checked = true;
+                option.classList.add('selected');
+            }
+        });
+        list.appendChild(option);
+    });
+    block.appendChild(list);
+
+    const answers = [].concat(def.answer).map(String);
+    return () => {
+        const chosen = Array.from(list.querySelectorAll('input:checked')).map(i => i.value);
+        if (chosen.length === 0) return { error: multiple ? 'Please select at least one answer!' : 'Please select an answer!' };
+
+        list.querySelectorAll('.option').forEach(opt => {
+            const input = opt.querySelector('input');
+            opt.classList.remove('correct', 'incorrect');
+            // Only reveal the right option once the student has found it
+            if (input.checked) opt.classList.add(answers.includes(input.value) ? 'correct' : 'incorrect');
+        });
+
+        const isCorrect = chosen.length === answers.length && chosen.every(v => answers.includes(v));
+        return { isCorrect, response: multiple ? chosen : chosen[0] };
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Answer checking (uses math-parser.js when the page loads it)
+// ---------------------------------------------------------------------------
+
+/**
+ * Read a typed numeric answer. With math-parser.js loaded this accepts
+ * fractions and expressions such as "3/4", "sqrt(2)/2" or "200pi".
+ * @param {string} text - What the student typed
+ * @returns {number} - Value, or NaN if it can't be read
+ * @throws {Error} - With a readable message when the expression is malformed
+ */
+function evaluateAnswer(text) {
+    if (typeof compileExpression !== 'function') {
+        return parseFloat(text);
+    }
+    if (!text.trim()) return NaN;
+    return compileExpression(text, [])();
+}
+
+/**
+ * Decide whether two expressions are the same function by evaluating both
+ * at random sample points.
+ * @param {string} studentText - Student's expression
+ * @param {string} answerText - Reference expression
+ * @param {string[]} variables - Variables both may use (default: ['x'])
+ * @param {Object} options - {samples, min, max, tolerance, random}
+ * @returns {boolean} - True if they agree at every usable sample point
+ * @throws {ExpressionError} - If the student's expression can't be parsed
+ */
+function answersEquivalent(studentText, answerText, variables = ['x'], options = {}) {
+    const opts = Object.assign({ samples: 12, min: -2, max: 2, tolerance: 1e-6, random: Math.random }, options);
+    const student = compileExpression(studentText, variables);
+    const answer = compileExpression(answerText, variables);
+
+    let checked = 0;
+    for (let attempt = 0; attempt < opts.samples * 5 && checked < opts.samples; attempt++) {
+        const point = variables.map(() => opts.min + (opts.max - opts.min) * opts.random());
+        const expected = answer(...point);
+        // Skip points outside the answer's domain (e.g. ln of a negative)
+        if (!isFinite(expected)) continue;
+        const actual = student(...point);
+        const scale = Math.max(1, Math.abs(expected));
+        if (!(Math.abs(actual - expected) <= opts.tolerance * scale)) return false;
+        checked++;
+    }
+    return checked > 0;
+}
+
+function buildNumericInput(def, block) {
+    const row = document.createElement('div');
+    row.className = 'number-input';
+    if (def.label) {
+        const label = document.createElement('label');
+        label.innerHTML = def.label;
+        row.appendChild(label);
+    }
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `${def.id}-input`;
+    input.placeholder = def.placeholder || (def.type === 'expression' ? 'Enter an expression' : 'Enter value');
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+    row.appendChild(input);
+    if (def.unit) {
+        const unit = document.createElement('span');
+        unit.innerHTML = ' ' + def.unit;
+        row.appendChild(unit);
+    }
+    block.appendChild(row);
+
+    const mark = isCorrect => {
+        input.style.borderColor = isCorrect ? '#4caf50' : '#f44336';
+    };
+
+    if (def.type === 'expression') {
+        const variables = def.variables || ['x'];
+        return () => {
+            if (!input.value.trim()) return { error: 'Please enter an expression!' };
+            let isCorrect;
+            try {
+                isCorrect = answersEquivalent(input.value, String(def.answer), variables, def.domain);
+            } catch (e) {
+                return { error: `Could not read your answer: ${e.message}` };
+            }
+            mark(isCorrect);
+            return { isCorrect, response: input.value };
+        };
+    }
+
+    const expected = typeof def.answer === 'string' ? evaluateAnswer(def.answer) : def.answer;
+    // Default: agree to about 3 significant figures
+    const tolerance = def.tolerance !== undefined ? def.tolerance : Math.max(1e-6, 1e-3 * Math.abs(expected));
+    return () => {
+        let value;
+        try {
+            value = evaluateAnswer(input.value);
+        } catch (e) {
+            return { error: `Could not read your answer: ${e.message}` };
+        }
+        if (isNaN(value)) return { error: 'Please enter a valid number!' };
+        const isCorrect = Math.abs(value - expected) <= tolerance;
+        mark(isCorrect);
+        return { isCorrect, response: input.value };
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Randomized question templates (uses random.js)
+// ---------------------------------------------------------------------------
+
+/**
+ * Id that seeds this student's random questions. Taken from ?student=... in
+ * the URL if present (so a teacher can reproduce a student's version),
+ * otherwise generated once and remembered in localStorage.
+ * @returns {string}
+ */
+function getStudentId() {
+    const fromUrl = new URLSearchParams(window.location.search).get('student');
+    if (fromUrl) return fromUrl;
+    if (!quizEngine.studentId) {
+        let id = null;
+        try {
+            id = localStorage.getItem('quiz-student-id');
+        } catch (e) {
+            // Storage disabled: a fresh id per visit
+        }
+        if (!id) {
+            id = Math.random().toString(36).slice(2, 8).toUpperCase();
+            try {
+                localStorage.setItem('quiz-student-id', id);
+            } catch (e) {
+                // Ignore, see above
+            }
+        }
+        quizEngine.studentId = id;
+    }
+    return quizEngine.studentId;
+}
+
+// params spec: {a: [1, 2, 5]} picks from a list, {a: {min: 1, max: 4}} picks an integer
+// in a range (add step for non-integers), or a function (random) -> params object
+function drawParams(spec, random) {
+    if (typeof spec === 'function') return spec(random);
+    const params = {};
+    Object.keys(spec).forEach(name => {
+        const rule = spec[name];
+        if (Array.isArray(rule)) {
+            params[name] = randomChoice(random, rule);
+        } else {
+            const step = rule.step || 1;
+            const count = Math.floor((rule.max - rule.min) / step + 1e-9);
+            params[name] = +(rule.min + step * randomInt(random, 0, count)).toFixed(10);
+        }
+    });
+    return params;
+}
+
+// Page name without folder or extension ('chain-rule-walkthrough'), so the
+// drawn numbers do not change when the site is served from another path
+function quizPageSlug() {
+    const file = window.location.pathname.split('/').pop() || 'index';
+    return file.replace(/\.html?$/, '');
+}
+
+/**
+ * Turn a template definition into a concrete question for this student.
+ * The numbers are seeded by student id, page and question id.
+ * Any of prompt, answer, choices, label, hint and explanation may be a
+ * function of the drawn params.
+ * @param {Object} def - Definition with a `params` spec
+ * @returns {Object} - Definition with plain values
+ */
+function instantiateQuestion(def) {
+    if (!def.params) return def;
+    const random = createRandom(`${getStudentId()}:${quizPageSlug()}:${def.id}`);
+    const params = drawParams(def.params, random);
+    const resolved = Object.assign({}, def, { params, random });
+    ['prompt', 'answer', 'choices', 'label', 'hint', 'explanation'].forEach(key => {
+        if (typeof def[key] === 'function') resolved[key] = def[key](params);
+    });
+    return resolved;
+}
+
+/**
+ * Build one question block from its definition.
+ * @param {Object} def - Question definition (see renderQuiz)
+ * @returns {HTMLElement} - The question element
+ */
+function buildQuestion(def) {
+    const block = document.createElement('div');
+    block.className = def.kind === 'exploration' ? 'exploration' : 'question';
+    block.id = def.id;
+
+    if (def.title) {
+        const title = document.createElement('h4');
+        title.textContent = def.title;
+        block.appendChild(title);
+    }
+    const prompt = document.createElement('div');
+    prompt.className = 'question-text';
+    prompt.innerHTML = def.prompt;
+    block.appendChild(prompt);
+
+    const typed = def.type === 'numeric' || def.type === 'expression';
+    const grade = typed ? buildNumericInput(def, block) : buildChoiceInputs(def, block);
+
+    const button = document.createElement('button');
+    button.className = 'check-btn';
+    button.textContent = 'Check Answer';
+    block.appendChild(button);
+
+    if (def.hint) {
+        const hintButton = document.createElement('button');
+        hintButton.className = 'quiz-hint-btn';
+        hintButton.textContent = 'Show Hint';
+        const hint = document.createElement('div');
+        hint.className = 'hint';
+        hint.innerHTML = def.hint;
+        hint.hidden = true;
+        hintButton.addEventListener('click', () => {
+            hint.hidden = !hint.hidden;
+            hintButton.textContent = hint.hidden ? 'Show Hint' : 'Hide Hint';
+        });
+        block.append(hintButton, hint);
+    }
+
+    const feedback = document.createElement('div');
+    feedback.className = 'feedback';
+    feedback.id = `${def.id}-feedback`;
+    block.appendChild(feedback);
+
+    if (def.explanation) {
+        const explanation = document.createElement('div');
+        explanation.className = 'quiz-explanation';
+        explanation.innerHTML = def.explanation;
+        explanation.hidden = true;
+        block.appendChild(explanation);
+    }
+
+    button.addEventListener('click', () => {
+        const result = grade();
+        if (result.error) {
+            setFeedback(feedback, false, result.error);
+            return;
+        }
+        if (result.isCorrect) {
+            setFeedback(feedback, true, def.correctMessage || '✓ Correct! Great job!');
+            showExplanation(block, def);
+        } else {
+            setFeedback(feedback, false, def.incorrectMessage ||
+                (def.hint ? '✗ Not quite. Try again or check the hint!' : '✗ Not quite. Try again!'));
+        }
+        recordAttempt(def.id, result.isCorrect, result.response);
+    });
+
+    return block;
+}
+
+/**
+ * Render questions from definitions instead of hand-written markup.
+ *
+ * Each definition:
+ *   {
+ *     id: 'q1a',                        // unique on the page, used for saved progress
+ *     kind: 'exploration' | 'practice', // default 'practice'
+ *     type: 'choice' | 'multiple' | 'numeric' | 'expression',
+ *     title: 'Question 1: ...',         // optional heading
+ *     prompt: 'What is \\(f\'(x)\\)?',  // HTML, may contain LaTeX
+ *     choices: ['\\(2x\\)', ...],       // choice/multiple only
+ *     answer: 0,                        // choice index, array of indices, a number,
+ *                                       // or an expression string ('sqrt(2)/2', '2x cos(x^2)')
+ *     tolerance: 0.1,                   // numeric only (default: ~3 significant figures)
+ *     variables: ['x'], domain: {min, max},  // expression only: where answers are sampled
+ *     params: {a: {min: 1, max: 4}},    // makes it a template; functions of params above
+ *                                       // are filled in per student (see instantiateQuestion)
+ *     label, unit, placeholder,         // numeric only, optional
+ *     shuffle: true,                    // randomize choice order
+ *     hint: '...', explanation: '...'   // optional HTML
+ *   }
+ *
+ * @param {HTMLElement|string} container - Element (or its id) to render into
+ * @param {Object[]} definitions - Question definitions
+ * @param {Object} defaults - Fields applied to every definition (e.g. {kind: 'exploration', shuffle: true})
+ */
+function renderQuiz(container, definitions, defaults = {}) {
+    const target = typeof container === 'string' ? document.getElementById(container) : container;
+    definitions.forEach(d => {
+        const def = instantiateQuestion(Object.assign({ type: 'choice' }, defaults, d));
+        if (def.params) quizEngine.hasTemplates = true;
+        const block = buildQuestion(def);
+        target.appendChild(block);
+        registerQuestion(def.id, { kind: def.kind || 'practice', label: def.title || def.id });
+    });
+
+    // Rendered after the page loaded: typeset and refresh progress ourselves
+    if (quizEngine.summaryPanel) {
+        if (window.renderMathInElement) renderQuizMath(target);
+        restoreSavedAnswers();
+        renderQuizSummary();
+    }
+}
 
 function selectRadio(element, questionId, value) {
     const options = document.querySelectorAll(`#${questionId} .option`);
@@ -18,7 +670,7 @@ function checkAnswer(questionId, correctAnswer) {
     const selected = document.querySelector(`input[name="${questionId}"]:checked`);
     const feedback = document.getElementById(`${questionId}-feedback`);
     const options = document.querySelectorAll(`#${questionId} .option`);
-    
+
     if (!selected) {
         feedback.className = 'feedback incorrect';
         feedback.textContent = 'Please select an answer!';
@@ -42,6 +694,7 @@ function checkAnswer(questionId, correctAnswer) {
         feedback.className = 'feedback incorrect';
         feedback.textContent = '✗ Incorrect. Try again or check the hint!';
     }
+    recordAttempt(questionId, selected.value === correctAnswer, selected.value);
 }
 
 function checkMultipleAnswer(questionId, correctAnswers) {
@@ -49,7 +702,7 @@ function checkMultipleAnswer(questionId, correctAnswers) {
         .map(input => input.value);
     const feedback = document.getElementById(`${questionId}-feedback`);
     const options = document.querySelectorAll(`#${questionId} .option`);
-    
+
     if (selected.length === 0) {
         feedback.className = 'feedback incorrect';
         feedback.textContent = 'Please select at least one answer!';
@@ -76,12 +729,18 @@ function checkMultipleAnswer(questionId, correctAnswers) {
         feedback.className = 'feedback incorrect';
         feedback.textContent = '✗ Not quite. Review which statements are true about SVD.';
     }
+    recordAttempt(questionId, isCorrect, selected);
 }
 
 function checkNumericAnswer(questionId, correctAnswer, tolerance) {
     const input = document.getElementById(`${questionId}-input`);
     const feedback = document.getElementById(`${questionId}-feedback`);
-    const userAnswer = parseFloat(input.value);
+    let userAnswer;
+    try {
+        userAnswer = evaluateAnswer(input.value);
+    } catch (e) {
+        userAnswer = NaN;
+    }
 
     if (isNaN(userAnswer)) {
         feedback.className = 'feedback incorrect';
@@ -89,7 +748,8 @@ function checkNumericAnswer(questionId, correctAnswer, tolerance) {
         return;
     }
 
-    if (Math.abs(userAnswer - correctAnswer) <= tolerance) {
+    const isCorrect = Math.abs(userAnswer - correctAnswer) <= tolerance;
+    if (isCorrect) {
         feedback.className = 'feedback correct';
         feedback.textContent = `✓ Correct! The answer is ${correctAnswer}.`;
         input.style.borderColor = '#4caf50';
@@ -98,4 +758,5 @@ function checkNumericAnswer(questionId, correctAnswer, tolerance) {
         feedback.textContent = `✗ Incorrect. The correct answer is ${correctAnswer}.`;
         input.style.borderColor = '#f44336';
     }
+    recordAttempt(questionId, isCorrect, input.value);
 }
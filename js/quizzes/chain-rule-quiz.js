@@ -0,0 +1,135 @@
+// Question definitions for pages/chain-rule-walkthrough.html (rendered by renderQuiz in quiz.js)
+
+const CHAIN_RULE_EXPLORATIONS = [
+    {
+        id: 'exp1',
+        title: 'Exploration 1: Understanding Composition',
+        prompt: '<p><strong>Observe:</strong> Drag the point on the top graph. Notice how its \\(y\\)-value becomes the \\(x\\)-value (input) for the bottom graph.</p>' +
+            '<p><strong>Question:</strong> What does the composition \\(s = g(f(x))\\) mean in terms of the two separate functions?</p>',
+        choices: [
+            'The output of \\(f\\) becomes the input to \\(g\\).',
+            'We add the two functions together.',
+            'We multiply the two functions together.'
+        ],
+        answer: 0,
+        explanation: 'Composition feeds one function into the next: first compute \\(y = f(x)\\), then \\(s = g(y)\\).'
+    },
+    {
+        id: 'exp2',
+        type: 'numeric',
+        title: 'Exploration 2: Rate Multiplication',
+        prompt: '<p><strong>Look at:</strong> The legend boxes show \\(\\frac{dy}{dx}\\) (top graph) and \\(\\frac{ds}{dy}\\) (bottom graph).</p>' +
+            '<p><strong>Question:</strong> If \\(\\frac{dy}{dx} = 2\\) and \\(\\frac{ds}{dy} = 3\\), what is \\(\\frac{ds}{dx}\\)?</p>',
+        label: '\\(\\frac{ds}{dx}\\) =',
+        answer: 6,
+        tolerance: 0.1,
+        hint: 'The rates multiply: \\(\\frac{ds}{dx} = \\frac{ds}{dy} \\cdot \\frac{dy}{dx}\\).',
+        explanation: '\\(\\frac{ds}{dx} = 3 \\cdot 2 = 6\\): each unit of \\(x\\) moves \\(y\\) by 2, and each unit of \\(y\\) moves \\(s\\) by 3.'
+    },
+    {
+        id: 'exp3',
+        title: 'Exploration 3: Differential Interpretation',
+        prompt: '<p><strong>Try this:</strong> Move to a point where \\(\\frac{dy}{dx}\\) is negative in the top graph.</p>' +
+            '<p><strong>Question:</strong> If \\(\\frac{dy}{dx} < 0\\) (negative) and \\(\\frac{ds}{dy} > 0\\) (positive), what sign will \\(\\frac{ds}{dx}\\) have?</p>',
+        choices: [
+            'Negative (because negative × positive = negative)',
+            'Positive',
+            'Zero'
+        ],
+        answer: 0
+    }
+];
+
+const CHAIN_RULE_PRACTICE = [
+    {
+        id: 'q1a',
+        title: 'Question 1(a): Inner Derivative',
+        prompt: '<p>Let \\(h(x) = (x^2 + 1)^3\\). We can write this as \\(h(x) = g(f(x))\\) where \\(f(x) = x^2 + 1\\) and \\(g(u) = u^3\\).</p>' +
+            '<p>What is \\(f\'(x)\\)?</p>',
+        choices: ['\\(2x\\)', '\\(x^2\\)', '\\(2x + 1\\)'],
+        answer: 0
+    },
+    {
+        id: 'q1b',
+        title: 'Question 1(b): Outer Derivative',
+        prompt: '<p>With \\(g(u) = u^3\\), what is \\(g\'(u)\\)?</p>',
+        choices: ['\\(u^2\\)', '\\(3u^2\\)', '\\(3u\\)'],
+        answer: 1
+    },
+    {
+        id: 'q1c',
+        title: 'Question 1(c): Putting It Together',
+        prompt: '<p>Using the chain rule, \\(h\'(x) = g\'(f(x)) \\cdot f\'(x)\\). What is \\(h\'(x)\\)?</p>',
+        choices: ['\\(3(x^2 + 1)^2 \\cdot 2x\\)', '\\(6x^5\\)', '\\((2x)^3\\)'],
+        answer: 0,
+        explanation: 'Evaluate the outer derivative at the inner function, \\(g\'(f(x)) = 3(x^2+1)^2\\), then multiply by \\(f\'(x) = 2x\\).'
+    },
+    {
+        id: 'q2a',
+        type: 'numeric',
+        title: 'Question 2(a): Balloon — dV/dr',
+        prompt: '<p>A balloon is being inflated. Its radius \\(r\\) increases with time at a rate of \\(\\frac{dr}{dt} = 2\\) cm/s. The volume of a sphere is \\(V = \\frac{4}{3}\\pi r^3\\).</p>' +
+            '<p>At the instant when \\(r = 5\\) cm, what is \\(\\frac{dV}{dr}\\)?</p>',
+        label: '\\(\\frac{dV}{dr}\\) =',
+        unit: 'cm²',
+        placeholder: 'Enter value (use π ≈ 3.14)',
+        answer: 314,
+        tolerance: 5,
+        hint: '\\(\\frac{dV}{dr} = 4\\pi r^2\\)'
+    },
+    {
+        id: 'q2b',
+        type: 'numeric',
+        title: 'Question 2(b): Balloon — dV/dt',
+        prompt: '<p>Using the chain rule, \\(\\frac{dV}{dt} = \\frac{dV}{dr} \\cdot \\frac{dr}{dt}\\). What is \\(\\frac{dV}{dt}\\) at this instant?</p>',
+        label: '\\(\\frac{dV}{dt}\\) =',
+        unit: 'cm³/s',
+        answer: 628,
+        tolerance: 10,
+        explanation: '\\(\\frac{dV}{dt} = 100\\pi \\cdot 2 = 200\\pi \\approx 628\\) cm³/s.'
+    }
+];
+
+// Personalized practice: numbers are drawn per student (see instantiateQuestion in quiz.js)
+const CHAIN_RULE_RANDOM_PRACTICE = [
+    {
+        id: 'r1',
+        type: 'numeric',
+        title: 'Practice 1: Power of a Linear Function',
+        params: { a: { min: 2, max: 4 }, b: { min: 1, max: 3 }, n: { min: 2, max: 4 }, x0: [0, 1, 2] },
+        prompt: p => `<p>Let \\(h(x) = (${p.a}x + ${p.b})^{${p.n}}\\). Compute \\(h'(${p.x0})\\).</p>`,
+        label: p => `\\(h'(${p.x0})\\) =`,
+        answer: p => p.n * p.a * Math.pow(p.a * p.x0 + p.b, p.n - 1),
+        tolerance: 0.01,
+        hint: 'Outer function \\(u^n\\), inner function \\(u = ax + b\\) with \\(u\' = a\\).',
+        explanation: p => `\\(h'(x) = ${p.n}(${p.a}x + ${p.b})^{${p.n - 1}} \\cdot ${p.a}\\), so ` +
+            `\\(h'(${p.x0}) = ${p.n} \\cdot ${p.a * p.x0 + p.b}^{${p.n - 1}} \\cdot ${p.a}\\).`
+    },
+    {
+        id: 'r2',
+        type: 'expression',
+        title: 'Practice 2: Derivative Formula',
+        params: { a: { min: 2, max: 5 }, n: { min: 2, max: 3 } },
+        prompt: p => `<p>Find \\(\\frac{d}{dx} \\sin(${p.a}x^{${p.n}})\\). ` +
+            'Type a formula in \\(x\\), e.g. <code>2x cos(x^2)</code>.</p>',
+        label: '\\(\\frac{dy}{dx}\\) =',
+        answer: p => `${p.a * p.n} x^${p.n - 1} cos(${p.a} x^${p.n})`,
+        variables: ['x'],
+        domain: { min: -1.5, max: 1.5 },
+        hint: 'The derivative of the outer \\(\\sin(u)\\) is \\(\\cos(u)\\); multiply by the derivative of the inside.',
+        explanation: p => `\\(\\cos(${p.a}x^{${p.n}}) \\cdot ${p.a * p.n}x^{${p.n - 1}}\\)`
+    },
+    {
+        id: 'r3',
+        type: 'numeric',
+        title: 'Practice 3: Related Rates',
+        params: { k: { min: 1, max: 4 }, r0: { min: 2, max: 6 } },
+        prompt: p => `<p>A balloon's radius grows at \\(\\frac{dr}{dt} = ${p.k}\\) cm/s, and \\(V = \\frac{4}{3}\\pi r^3\\). ` +
+            `How fast is the volume growing when \\(r = ${p.r0}\\) cm? ` +
+            'You may type an exact answer such as <code>200pi</code>.</p>',
+        label: '\\(\\frac{dV}{dt}\\) =',
+        unit: 'cm³/s',
+        answer: p => 4 * Math.PI * p.r0 * p.r0 * p.k,
+        explanation: p => `\\(\\frac{dV}{dt} = 4\\pi r^2 \\frac{dr}{dt} = 4\\pi (${p.r0})^2 (${p.k}) = ${4 * p.r0 * p.r0 * p.k}\\pi\\) cm³/s.`
+    }
+];
@@ -0,0 +1,31 @@
+// Question definitions for pages/geometric-series-walkthrough.html (rendered by renderQuiz in quiz.js)
+
+// Explorations for the series convergence lab
+const SERIES_LAB_EXPLORATIONS = [
+    {
+        id: 'exp5',
+        title: 'Exploration 5: Terms That Shrink',
+        prompt: '<p><strong>Try this:</strong> Choose the harmonic series and step \\(N\\) up to 100. Then open the integral test.</p>' +
+            '<p><strong>Question:</strong> Why does \\(\\sum \\frac{1}{n}\\) diverge even though \\(\\frac{1}{n} \\to 0\\)?</p>',
+        choices: [
+            '\\(S_N \\geq \\int_1^{N+1} \\frac{dx}{x} = \\ln(N+1)\\), which grows without bound.',
+            'The ratio test shows \\(L > 1\\).',
+            'It does not diverge: the sum is about 5.19.'
+        ],
+        answer: 0,
+        explanation: 'Shrinking terms are necessary but not enough. The rectangles of height \\(\\frac{1}{n}\\) cover the area under \\(\\frac{1}{x}\\) from 1 to \\(N+1\\), and that area grows like \\(\\ln N\\).'
+    },
+    {
+        id: 'exp6',
+        title: 'Exploration 6: When the Ratio Test Is Silent',
+        prompt: '<p><strong>Try this:</strong> Run the ratio test on \\(\\frac{1}{n}\\) and on \\(\\frac{1}{n^2}\\).</p>' +
+            '<p><strong>Question:</strong> What does the ratio test say about these two series?</p>',
+        choices: [
+            '\\(\\frac{1}{n}\\) diverges and \\(\\frac{1}{n^2}\\) converges.',
+            'Nothing: both ratios tend to 1, so another test is needed.',
+            'Both converge, since the ratios are less than 1.'
+        ],
+        answer: 1,
+        explanation: 'Both ratios \\(\\frac{n}{n+1}\\) and \\(\\left(\\frac{n}{n+1}\\right)^2\\) tend to 1, where the ratio test decides nothing. The integral test separates them.'
+    }
+];
@@ -0,0 +1,197 @@
+// Question definitions for pages/multivariable-chain-rule-walkthrough.html (rendered by renderQuiz in quiz.js)
+
+const MULTIVARIABLE_CHAIN_RULE_EXPLORATIONS = [
+    {
+        id: 'exp1',
+        title: 'Exploration 1: Understanding Partial Derivatives',
+        prompt: '<p><strong>Try this:</strong> With the paraboloid \\(z = x^2 + y^2\\), place the point at \\((1, 0)\\). Look at the orange partial derivative vectors.</p>' +
+            '<p><strong>Question:</strong> The partial derivative \\(\\partial z/\\partial x\\) at \\((1, 0)\\) represents the rate of change when moving in which direction?</p>',
+        choices: [
+            'In the positive \\(x\\)-direction (keeping \\(y\\) constant)',
+            'In the positive \\(y\\)-direction (keeping \\(x\\) constant)',
+            'In any arbitrary direction'
+        ],
+        answer: 0
+    },
+    {
+        id: 'exp2',
+        type: 'numeric',
+        title: 'Exploration 2: The Chain Rule Formula',
+        prompt: '<p><strong>Setup:</strong> Look at the "Chain Rule Values" panel on the right side of the applet.</p>' +
+            '<p><strong>Question:</strong> If \\(\\partial z/\\partial x = 2\\), \\(\\partial z/\\partial y = 3\\), \\(dx/dt = 1\\), and \\(dy/dt = 1\\), what should \\(dz/dt\\) equal?</p>',
+        label: '\\(dz/dt\\) =',
+        answer: 5,
+        tolerance: 0.1,
+        hint: 'Use the formula \\(dz/dt = (\\partial z/\\partial x)(dx/dt) + (\\partial z/\\partial y)(dy/dt)\\).'
+    },
+    {
+        id: 'exp3',
+        title: 'Exploration 3: Direction Matters',
+        prompt: '<p><strong>Experiment:</strong> Switch to the saddle surface \\(z = x^2 - y^2\\). Place the point at the origin \\((0, 0)\\).</p>' +
+            '<p><strong>Question:</strong> At the origin of a saddle surface, why can \\(dz/dt\\) be positive, negative, or zero depending on the direction?</p>',
+        choices: [
+            'Because the surface curves up in some directions and down in others',
+            'Because the partial derivatives are always zero at the origin',
+            'Because the direction vector can have any magnitude'
+        ],
+        answer: 0
+    },
+    {
+        id: 'exp4',
+        title: 'Exploration 4: Tangent Plane and Local Linearity',
+        prompt: '<p><strong>Observe:</strong> The yellow tangent plane shows the "best linear approximation" to the surface at the point.</p>' +
+            '<p><strong>Question:</strong> How does the tangent plane relate to the partial derivatives?</p>',
+        choices: [
+            'The plane\'s slope in the \\(x\\)-direction is \\(\\partial z/\\partial x\\) and in the \\(y\\)-direction is \\(\\partial z/\\partial y\\)',
+            'The plane is always horizontal',
+            'The plane has no relation to derivatives'
+        ],
+        answer: 0
+    },
+    {
+        id: 'exp5',
+        title: 'Exploration 5: The Gradient Connection',
+        prompt: '<p><strong>Concept:</strong> The gradient is \\(\\nabla f = \\left(\\frac{\\partial f}{\\partial x}, \\frac{\\partial f}{\\partial y}\\right)\\). ' +
+            'The directional derivative in direction \\(\\mathbf{v} = (dx/dt, dy/dt)\\) is \\(\\nabla f \\cdot \\mathbf{v}\\).</p>' +
+            '<p><strong>Question:</strong> What does the chain rule formula \\(dz/dt = (\\partial z/\\partial x)(dx/dt) + (\\partial z/\\partial y)(dy/dt)\\) represent geometrically?</p>',
+        choices: [
+            'The dot product of the gradient with the direction vector',
+            'The cross product of the gradient with the direction vector',
+            'The magnitude of the gradient'
+        ],
+        answer: 0
+    }
+];
+
+const MULTIVARIABLE_CHAIN_RULE_PRACTICE = [
+    {
+        id: 'q1a',
+        title: 'Question 1(a): Partial Derivative in x',
+        prompt: '<p>Suppose \\(z = f(x, y) = x^2 + y^2\\) and we move along the path \\(x(t) = t\\), \\(y(t) = 2t\\).</p>' +
+            '<p>What is \\(\\partial z/\\partial x\\) at a general point \\((x, y)\\)?</p>',
+        choices: ['\\(2x\\)', '\\(x^2\\)', '\\(2y\\)'],
+        answer: 0
+    },
+    {
+        id: 'q1b',
+        title: 'Question 1(b): Partial Derivative in y',
+        prompt: '<p>With \\(z = x^2 + y^2\\), what is \\(\\partial z/\\partial y\\)?</p>',
+        choices: ['\\(2x\\)', '\\(2y\\)', '\\(y^2\\)'],
+        answer: 1
+    },
+    {
+        id: 'q1c',
+        title: 'Question 1(c): Velocity Along the Path',
+        prompt: '<p>For the path \\(x(t) = t\\), \\(y(t) = 2t\\), what are \\(dx/dt\\) and \\(dy/dt\\)?</p>',
+        choices: [
+            '\\(dx/dt = 1\\), \\(dy/dt = 2\\)',
+            '\\(dx/dt = t\\), \\(dy/dt = 2t\\)',
+            '\\(dx/dt = 0\\), \\(dy/dt = 0\\)'
+        ],
+        answer: 0
+    },
+    {
+        id: 'q1d',
+        title: 'Question 1(d): Putting It Together',
+        prompt: '<p>Using the chain rule, what is \\(dz/dt\\)?</p>',
+        choices: ['\\(2x + 4y\\)', '\\(2x + 2y\\)', '\\(x + y\\)'],
+        answer: 0,
+        explanation: '\\(dz/dt = (2x)(1) + (2y)(2) = 2x + 4y\\).'
+    },
+    {
+        id: 'q2a',
+        title: 'Question 2(a): The Gradient',
+        prompt: '<p>Let \\(f(x, y) = x^2 - y^2\\). At the point \\((1, 1)\\), find the directional derivative in the direction \\(\\mathbf{v} = (1, 1)\\).</p>' +
+            '<p>First, what is the gradient \\(\\nabla f\\) at \\((1, 1)\\)?</p>',
+        choices: ['\\((2, -2)\\)', '\\((2, 2)\\)', '\\((1, -1)\\)'],
+        answer: 0
+    },
+    {
+        id: 'q2b',
+        title: 'Question 2(b): The Unit Vector',
+        prompt: '<p>The directional derivative is \\(\\nabla f \\cdot \\mathbf{u}\\) where \\(\\mathbf{u}\\) is the unit vector. What is \\(\\mathbf{u}\\) for \\(\\mathbf{v} = (1, 1)\\)?</p>',
+        choices: [
+            '\\((\\frac{1}{\\sqrt{2}}, \\frac{1}{\\sqrt{2}})\\)',
+            '\\((1, 1)\\)',
+            '\\((\\frac{1}{2}, \\frac{1}{2})\\)'
+        ],
+        answer: 0
+    },
+    {
+        id: 'q2c',
+        title: 'Question 2(c): The Directional Derivative',
+        prompt: '<p>What is the directional derivative \\(D_{\\mathbf{u}}f(1,1)\\)?</p>',
+        choices: ['\\(0\\)', '\\(4\\)', '\\(2\\sqrt{2}\\)'],
+        answer: 0,
+        hint: 'Compute \\((2, -2) \\cdot (\\frac{1}{\\sqrt{2}}, \\frac{1}{\\sqrt{2}})\\).'
+    },
+    {
+        id: 'q3',
+        title: 'Question 3: Real-World Application',
+        prompt: '<p>A hiker is on a hill described by elevation \\(h(x, y) = 100 - x^2 - 2y^2\\) (in meters). ' +
+            'The hiker is at position \\((x, y) = (2, 1)\\) and walking in direction \\(\\mathbf{v} = (-1, 1)\\).</p>' +
+            '<p><strong>Question:</strong> Is the hiker going uphill or downhill?</p>',
+        choices: [
+            'Uphill (positive directional derivative)',
+            'Downhill (negative directional derivative)',
+            'Neither (staying at same elevation)'
+        ],
+        answer: 1,
+        hint: 'Calculate \\(\\nabla h(2,1) = (-4, -4)\\), then find \\(\\nabla h \\cdot (-1, 1)\\). Note: We don\'t need to normalize for just the sign!'
+    }
+];
+
+// Personalized practice: numbers are drawn per student (see instantiateQuestion in quiz.js)
+const MULTIVARIABLE_CHAIN_RULE_RANDOM_PRACTICE = [
+    {
+        id: 'r1',
+        type: 'numeric',
+        title: 'Practice 1: dz/dt Along a Path',
+        params: { a: { min: 1, max: 4 }, b: { min: 1, max: 3 }, t0: { min: 1, max: 3 } },
+        prompt: p => `<p>Let \\(z = x^2 + y^2\\) with \\(x(t) = ${p.a}t\\) and \\(y(t) = t^2 + ${p.b}\\). ` +
+            `Compute \\(\\frac{dz}{dt}\\) at \\(t = ${p.t0}\\).</p>`,
+        label: '\\(\\frac{dz}{dt}\\) =',
+        answer: p => 2 * (p.a * p.t0) * p.a + 2 * (p.t0 * p.t0 + p.b) * 2 * p.t0,
+        hint: '\\(\\frac{dz}{dt} = \\frac{\\partial z}{\\partial x}\\frac{dx}{dt} + \\frac{\\partial z}{\\partial y}\\frac{dy}{dt} = 2x \\cdot x\'(t) + 2y \\cdot y\'(t)\\)',
+        explanation: p => `At \\(t = ${p.t0}\\): \\(x = ${p.a * p.t0}\\), \\(y = ${p.t0 * p.t0 + p.b}\\), ` +
+            `\\(x' = ${p.a}\\), \\(y' = ${2 * p.t0}\\), so \\(\\frac{dz}{dt} = 2(${p.a * p.t0})(${p.a}) + 2(${p.t0 * p.t0 + p.b})(${2 * p.t0})\\).`
+    },
+    {
+        id: 'r2',
+        type: 'numeric',
+        title: 'Practice 2: Around the Unit Circle',
+        params: { a: { min: 2, max: 6 }, k: [3, 4, 6] },
+        prompt: p => `<p>Let \\(z = ${p.a}xy\\) and move around the unit circle \\(x = \\cos t\\), \\(y = \\sin t\\). ` +
+            `Find \\(\\frac{dz}{dt}\\) at \\(t = \\frac{\\pi}{${p.k}}\\). Exact answers like <code>sqrt(3)/2</code> are accepted.</p>`,
+        label: '\\(\\frac{dz}{dt}\\) =',
+        answer: p => p.a * Math.cos(2 * Math.PI / p.k),
+        hint: '\\(\\frac{dz}{dt} = ay \\cdot (-\\sin t) + ax \\cdot \\cos t = a(\\cos^2 t - \\sin^2 t)\\)',
+        explanation: p => `\\(\\frac{dz}{dt} = ${p.a}(\\cos^2 t - \\sin^2 t) = ${p.a}\\cos 2t\\), evaluated at \\(t = \\frac{\\pi}{${p.k}}\\).`
+    },
+    {
+        id: 'r3',
+        type: 'expression',
+        title: 'Practice 3: dz/dt as a Function of t',
+        params: { a: { min: 2, max: 4 }, k: { min: 1, max: 5 } },
+        prompt: p => `<p>Let \\(z = x^2 + ${p.k}y\\) with \\(x(t) = ${p.a}t\\) and \\(y(t) = t^2\\). ` +
+            'Find \\(\\frac{dz}{dt}\\) as a formula in \\(t\\).</p>',
+        label: '\\(\\frac{dz}{dt}\\) =',
+        answer: p => `2(${p.a}t)(${p.a}) + ${p.k}(2t)`,
+        variables: ['t'],
+        domain: { min: -2, max: 2 },
+        hint: 'Differentiate \\(x^2\\) and \\(y\\), then multiply by \\(x\'(t)\\) and \\(y\'(t)\\) and add.',
+        explanation: p => `\\(\\frac{dz}{dt} = 2x \\cdot ${p.a} + ${p.k} \\cdot 2t = ${2 * p.a * p.a + 2 * p.k}t\\)`
+    },
+    {
+        id: 'r4',
+        type: 'numeric',
+        title: 'Practice 4: Directional Derivative',
+        params: { a: { min: 2, max: 4 }, b: { min: 1, max: 4 }, x0: { min: 1, max: 3 }, y0: { min: -2, max: 2 } },
+        prompt: p => `<p>Let \\(f(x, y) = ${p.a}x^2 + ${p.b}y\\). Find the directional derivative of \\(f\\) at ` +
+            `\\((${p.x0}, ${p.y0})\\) in the direction of \\(\\mathbf{v} = (3, 4)\\).</p>`,
+        label: '\\(D_{\\mathbf{u}}f\\) =',
+        answer: p => (2 * p.a * p.x0 * 3 + p.b * 4) / 5,
+        hint: 'Normalize first: \\(\\mathbf{u} = \\mathbf{v}/\\|\\mathbf{v}\\| = (\\frac{3}{5}, \\frac{4}{5})\\), then compute \\(\\nabla f \\cdot \\mathbf{u}\\).',
+        explanation: p => `\\(\\nabla f = (${2 * p.a * p.x0}, ${p.b})\\), so \\(D_{\\mathbf{u}}f = \\frac{3 \\cdot ${2 * p.a * p.x0} + 4 \\cdot ${p.b}}{5}\\).`
+    }
+];
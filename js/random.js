@@ -0,0 +1,64 @@
+// Seeded random numbers
+//
+// Math.random() can't be replayed, which matters when a teacher wants to see
+// the same "random" question a student saw, or reproduce a data set in class.
+// createRandom(seed) returns a drop-in replacement for Math.random that
+// always produces the same sequence for the same seed.
+
+/**
+ * Hash a string (or number) to a 32-bit unsigned integer seed.
+ * @param {string|number} value - Anything printable, e.g. "student42:q1"
+ * @returns {number} - Seed suitable for createRandom
+ */
+function hashSeed(value) {
+    const str = String(value);
+    // FNV-1a
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * Create a seeded generator (mulberry32).
+ * @param {number|string} seed - Integer seed, or a string to hash
+ * @returns {Function} - random() -> number in [0, 1)
+ */
+function createRandom(seed) {
+    let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(seed);
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Random integer in [min, max] (inclusive).
+ * @param {Function} random - Generator from createRandom (or Math.random)
+ * @param {number} min - Smallest value
+ * @param {number} max - Largest value
+ * @returns {number}
+ */
+function randomInt(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Pick one element of an array.
+ * @param {Function} random - Generator from createRandom (or Math.random)
+ * @param {Array} items - Non-empty array
+ * @returns {*}
+ */
+function randomChoice(random, items) {
+    return items[Math.floor(random() * items.length)];
+}
+
+// Export for use in modules or direct script inclusion
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { hashSeed, createRandom, randomInt, randomChoice };
+}
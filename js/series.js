@@ -0,0 +1,222 @@
+// Exact fractions and partial-sum plots for the series applets
+//
+// A ratio typed as '1/3', '-0.25' or '2' becomes an exact fraction of
+// BigInts, so partial sums of a geometric series stay exact however many
+// terms are added (3^100 is no trouble). drawPartialSums plots S₁ … S_N
+// against the limit, or flags that there is none.
+//
+// Usage:
+//   <script src="../js/series.js"></script>
+//   const r = parseFraction('-1/2');                       // { num: -1n, den: 2n }
+//   const s = geometricPartialSum(fraction(1n), r, 5);     // S₅ of 1 + r + r² + …
+//   formatFraction(s);                                     // '11/16'
+//   toNumber(s);                                           // 0.6875
+
+/**
+ * @typedef {Object} Fraction
+ * @property {bigint} num - Numerator, carrying the sign
+ * @property {bigint} den - Denominator, always positive
+ */
+
+function gcd(a, b) {
+    if (a < 0n) a = -a;
+    if (b < 0n) b = -b;
+    while (b) [a, b] = [b, a % b];
+    return a;
+}
+
+/**
+ * A fraction in lowest terms.
+ * @param {bigint} num
+ * @param {bigint} [den=1n]
+ * @returns {Fraction}
+ */
+function fraction(num, den = 1n) {
+    if (den === 0n) throw new Error('Zero denominator');
+    if (den < 0n) {
+        num = -num;
+        den = -den;
+    }
+    const g = gcd(num, den);
+    return { num: num / g, den: den / g };
+}
+
+// '2.75' -> 275/100 (reduced), exactly
+function decimalFraction(text) {
+    const [whole, decimals = ''] = text.split('.');
+    return fraction(BigInt((whole || '0') + decimals), 10n ** BigInt(decimals.length));
+}
+
+/**
+ * Read a number typed as an integer, a decimal or p/q.
+ * @param {string} text - e.g. '1/2', '-2/3', '0.3', '-1'
+ * @returns {Fraction|null} - null if it is not a number or divides by zero
+ */
+function parseFraction(text) {
+    const number = '(\\d+(?:\\.\\d*)?|\\.\\d+)';
+    const match = String(text).trim().match(new RegExp(`^([+-]?)${number}(?:\\s*/\\s*([+-]?)${number})?$`));
+    if (!match) return null;
+    const top = decimalFraction(match[2]);
+    const bottom = match[4] ? decimalFraction(match[4]) : fraction(1n);
+    if (bottom.num === 0n) return null;
+    const sign = (match[1] === '-') !== (match[3] === '-') ? -1n : 1n;
+    return fraction(sign * top.num * bottom.den, top.den * bottom.num);
+}
+
+function addFractions(a, b) {
+    return fraction(a.num * b.den + b.num * a.den, a.den * b.den);
+}
+
+function subtractFractions(a, b) {
+    return fraction(a.num * b.den - b.num * a.den, a.den * b.den);
+}
+
+function multiplyFractions(a, b) {
+    return fraction(a.num * b.num, a.den * b.den);
+}
+
+function divideFractions(a, b) {
+    return fraction(a.num * b.den, a.den * b.num);
+}
+
+/**
+ * a^k for a whole number k ≥ 0.
+ * @param {Fraction} a
+ * @param {number} k
+ * @returns {Fraction}
+ */
+function powerFraction(a, k) {
+    return fraction(a.num ** BigInt(k), a.den ** BigInt(k));
+}
+
+/**
+ * Nearest double, even when the numerator or denominator is too long for one.
+ * @param {Fraction} a
+ * @returns {number}
+ */
+function toNumber(a) {
+    const digits = Math.max((a.num < 0n ? -a.num : a.num).toString().length, a.den.toString().length);
+    const scale = 10n ** BigInt(Math.max(0, digits - 300));
+    return Number(a.num / scale) / Number(a.den / scale);
+}
+
+/**
+ * @param {Fraction} a
+ * @returns {string} - 'p/q', or just 'p' for a whole number
+ */
+function formatFraction(a) {
+    return a.den === 1n ? `${a.num}` : `${a.num}/${a.den}`;
+}
+
+/**
+ * S_n = a₁ + a₁r + … + a₁rⁿ⁻¹ = a₁(1 − rⁿ)/(1 − r), exactly (n·a₁ when r = 1).
+ * @param {Fraction} first - a₁
+ * @param {Fraction} ratio - r
+ * @param {number} n - Number of terms
+ * @returns {Fraction}
+ */
+function geometricPartialSum(first, ratio, n) {
+    if (ratio.num === ratio.den) return multiplyFractions(first, fraction(BigInt(n)));
+    const one = fraction(1n);
+    return divideFractions(
+        multiplyFractions(first, subtractFractions(one, powerFraction(ratio, n))),
+        subtractFractions(one, ratio));
+}
+
+/**
+ * Plot partial sums S₁ … S_N as dots joined by a line, with the limit as a
+ * dashed line, or a 'diverges' note when there is none. Leave the limit
+ * undefined when it is not known (a typed series) to draw neither.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{x: number, y: number, width: number, height: number}} box - Where on the canvas
+ * @param {number[]} sums - S₁ … S_N
+ * @param {number|null} [limit] - The sum of the series, null if it diverges
+ * @param {string} [title='Partial sums Sₙ']
+ */
+function drawPartialSums(ctx, box, sums, limit, title = 'Partial sums Sₙ') {
+    const pad = { left: 48, right: 10, top: 24, bottom: 24 };
+    const plotW = box.width - pad.left - pad.right;
+    const plotH = box.height - pad.top - pad.bottom;
+    const finite = sums.filter(isFinite);
+    const known = typeof limit === 'number';
+    const values = finite.concat([0], known ? [limit] : []);
+    let yMin = Math.min(...values);
+    let yMax = Math.max(...values);
+    if (yMax - yMin < 1e-12) yMax = yMin + 1;
+    const margin = 0.08 * (yMax - yMin);
+    yMin -= margin;
+    yMax += margin;
+    const toX = k => box.x + pad.left + (sums.length > 1 ? (k - 1) / (sums.length - 1) : 0.5) * plotW;
+    const toY = v => box.y + pad.top + (yMax - v) / (yMax - yMin) * plotH;
+    const format = v => Math.abs(v) >= 1e5 || (v !== 0 && Math.abs(v) < 1e-3) ? v.toExponential(2) : v.toFixed(3);
+
+    ctx.save();
+    ctx.fillStyle = '#0f1925';
+    ctx.fillRect(box.x, box.y, box.width, box.height);
+    ctx.strokeStyle = '#4a5568';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(box.x, box.y, box.width, box.height);
+
+    ctx.fillStyle = '#aaa';
+    ctx.font = 'bold 12px Arial';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillText(title, box.x + 8, box.y + 16);
+
+    // Zero line and axis labels
+    ctx.strokeStyle = '#4a5568';
+    ctx.beginPath();
+    ctx.moveTo(box.x + pad.left, toY(0));
+    ctx.lineTo(box.x + box.width - pad.right, toY(0));
+    ctx.stroke();
+    ctx.font = '10px Arial';
+    ctx.textAlign = 'right';
+    ctx.fillText(format(yMax - margin), box.x + pad.left - 4, toY(yMax - margin) + 4);
+    ctx.fillText(format(yMin + margin), box.x + pad.left - 4, toY(yMin + margin) + 4);
+    ctx.textAlign = 'center';
+    ctx.fillText('1', toX(1), box.y + box.height - 8);
+    if (sums.length > 1) ctx.fillText(String(sums.length), toX(sums.length), box.y + box.height - 8);
+
+    if (known) {
+        ctx.strokeStyle = '#ffe66d';
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(box.x + pad.left, toY(limit));
+        ctx.lineTo(box.x + box.width - pad.right, toY(limit));
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#ffe66d';
+        ctx.textAlign = 'right';
+        ctx.fillText(`limit ${format(limit)}`, box.x + box.width - pad.right, toY(limit) - 4);
+    } else if (limit === null) {
+        ctx.fillStyle = '#e94560';
+        ctx.font = 'bold 11px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillText('no limit: diverges', box.x + box.width - pad.right, box.y + 16);
+    }
+
+    ctx.strokeStyle = 'rgba(78, 204, 163, 0.6)';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    sums.forEach((s, i) => {
+        if (i === 0) ctx.moveTo(toX(1), toY(s));
+        else ctx.lineTo(toX(i + 1), toY(s));
+    });
+    ctx.stroke();
+    ctx.fillStyle = '#4ecca3';
+    const radius = sums.length > 40 ? 1.5 : 3;
+    sums.forEach((s, i) => {
+        ctx.beginPath();
+        ctx.arc(toX(i + 1), toY(s), radius, 0, Math.PI * 2);
+        ctx.fill();
+    });
+    ctx.restore();
+}
+
+// Export for use in modules or direct script inclusion
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        fraction, parseFraction, addFractions, subtractFractions, multiplyFractions,
+        divideFractions, powerFraction, toNumber, formatFraction, geometricPartialSum, drawPartialSums
+    };
+}
@@ -0,0 +1,510 @@
+// 3D surface plot on a plain 2D canvas
+//
+// Draws z = f(x, y) as depth-sorted triangles (painter's algorithm), colored
+// by height and lit from a fixed direction, with markers and paths that sort
+// in with the surface so the surface hides whatever is behind it. Drag to
+// orbit, scroll to zoom. No WebGL, so it also runs in headless test pages.
+//
+// Usage:
+//   <canvas id="surface" width="600" height="500"></canvas>
+//   <script src="../js/surface-plot.js"></script>
+//   const plot = new SurfacePlot('surface', { xRange: [-3, 3], yRange: [-3, 3] });
+//   plot.setFunction((x, y) => x*x - y*y);
+//   plot.setMarkers([{ x: 0, y: 0, color: '#00d9ff', label: 'saddle' }]);
+//   plot.setPaths([{ points: [{x: 2, y: 1}, {x: 1, y: 0.5}], color: '#4ecca3' }]);
+//
+// Hosts that draw their own overlays (e.g. the chain rule viz) can use
+// project(x, y, z) and drawSurface() directly and pass onRedraw so camera
+// moves repaint the whole view.
+
+const SURFACE_PLOT_DEFAULTS = {
+    xRange: [-2, 2],
+    yRange: [-2, 2],
+    zRange: null,           // [zMin, zMax]; null = from the sampled values
+    resolution: 40,         // grid cells per side
+    aspect: 'fit',          // 'fit' scales each axis to the box, 'equal' keeps true proportions
+    boxHeight: 1.2,         // box height in 'fit' mode (the base is 2 × 2)
+    maxHeight: Infinity,    // |z| beyond this leaves a hole, so poles don't swamp the view
+    colormap: null,         // t in [0, 1] -> [r, g, b]; heightColormap if null
+    opacity: 1,
+    wireframe: false,
+    edgeColor: null,        // mesh edge color; null strokes each triangle in its own color
+    showAxes: true,
+    axisLabels: ['x', 'y', 'z'],
+    background: '#0a0e27',  // null leaves the canvas transparent
+    azimuth: -0.6,
+    elevation: 0.5,
+    distance: 4.5,
+    minDistance: 2.5,
+    maxDistance: 12,
+    focal: 0.9,             // screen scale: focal × min(width, height) per unit at depth 1
+    interactive: true,      // drag to orbit, wheel to zoom
+    onRedraw: null          // called instead of render() after the view or data changes
+};
+
+// Blue (low) -> cyan -> green -> yellow -> red (high), t in [0, 1]
+function heightColormap(t) {
+    const h = (0.6 - 0.6 * Math.min(Math.max(t, 0), 1)) * 6;
+    const s = 0.8, l = 0.5;
+    const c = (1 - Math.abs(2 * l - 1)) * s;
+    const x = c * (1 - Math.abs(h % 2 - 1));
+    const m = l - c / 2;
+    const rgb = h < 1 ? [c, x, 0] : h < 2 ? [x, c, 0] : h < 3 ? [0, c, x] : [0, x, c];
+    return rgb.map(v => Math.round((v + m) * 255));
+}
+
+class SurfacePlot {
+    /**
+     * @param {string|HTMLCanvasElement} canvas - Canvas element or its ID
+     * @param {Object} options - Overrides for SURFACE_PLOT_DEFAULTS
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = typeof canvas === 'string' ? document.getElementById(canvas) : canvas;
+        this.ctx = this.canvas.getContext('2d');
+        this.options = Object.assign({}, SURFACE_PLOT_DEFAULTS, options);
+        this.colormap = this.options.colormap || heightColormap;
+        this.wireframe = this.options.wireframe;
+
+        this.azimuth = this.options.azimuth;
+        this.elevation = this.options.elevation;
+        this.distance = this.options.distance;
+
+        this.f = null;
+        this.grid = null;
+        this.zMin = 0;
+        this.zMax = 1;
+        this.markers = [];
+        this.paths = [];
+
+        this.isDragging = false;
+        this.dragged = false;
+        this.autoRotateId = null;
+
+        if (this.options.interactive) this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        let lastX = 0, lastY = 0;
+
+        this.canvas.addEventListener('mousedown', (e) => {
+            this.isDragging = true;
+            this.dragged = false;
+            lastX = e.clientX;
+            lastY = e.clientY;
+        });
+
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (!this.isDragging) return;
+            const dx = e.clientX - lastX;
+            const dy = e.clientY - lastY;
+            if (Math.abs(dx) + Math.abs(dy) > 2) this.dragged = true;
+            lastX = e.clientX;
+            lastY = e.clientY;
+            this.rotate(-dx * 0.01, dy * 0.01);
+        });
+
+        const stop = () => { this.isDragging = false; };
+        this.canvas.addEventListener('mouseup', stop);
+        this.canvas.addEventListener('mouseleave', stop);
+
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoom(e.deltaY > 0 ? 1.1 : 1 / 1.1);
+        });
+    }
+
+    /**
+     * Set the function to plot.
+     * @param {Function} f - (x, y) => z; may return NaN/Infinity where undefined
+     */
+    setFunction(f) {
+        this.f = f;
+        this.sample();
+        this.redraw();
+    }
+
+    setRange(xMin, xMax, yMin, yMax) {
+        this.options.xRange = [xMin, xMax];
+        this.options.yRange = [yMin, yMax];
+        if (this.f) this.sample();
+        this.redraw();
+    }
+
+    /**
+     * Dots on or above the surface.
+     * @param {Array<{x: number, y: number, z?: number, color: string, size?: number,
+     *     label?: string, stem?: boolean}>} markers - z defaults to f(x, y); stem
+     *     draws a dashed drop line to the floor (with the label at its middle)
+     */
+    setMarkers(markers) {
+        this.markers = markers;
+        this.redraw();
+    }
+
+    /**
+     * Polylines, e.g. an optimizer's path over the surface.
+     * @param {Array<{points: Array<{x: number, y: number, z?: number}>, color: string,
+     *     width?: number, dots?: boolean}>} paths - z defaults to f(x, y)
+     */
+    setPaths(paths) {
+        this.paths = paths;
+        this.redraw();
+    }
+
+    toggleWireframe() {
+        this.wireframe = !this.wireframe;
+        this.redraw();
+        return this.wireframe;
+    }
+
+    // Orbit the camera; elevation stays short of straight up/down
+    rotate(dAzimuth, dElevation) {
+        this.azimuth += dAzimuth;
+        this.elevation = Math.max(-1.5, Math.min(1.5, this.elevation + dElevation));
+        this.redraw();
+    }
+
+    // factor < 1 moves the camera closer
+    zoom(factor) {
+        const {minDistance, maxDistance} = this.options;
+        this.distance = Math.max(minDistance, Math.min(maxDistance, this.distance * factor));
+        this.redraw();
+    }
+
+    resetView() {
+        this.azimuth = this.options.azimuth;
+        this.elevation = this.options.elevation;
+        this.distance = this.options.distance;
+        this.redraw();
+    }
+
+    toggleAutoRotate() {
+        if (this.autoRotateId !== null) {
+            cancelAnimationFrame(this.autoRotateId);
+            this.autoRotateId = null;
+            return false;
+        }
+        const spin = () => {
+            this.rotate(0.005, 0);
+            this.autoRotateId = requestAnimationFrame(spin);
+        };
+        this.autoRotateId = requestAnimationFrame(spin);
+        return true;
+    }
+
+    redraw() {
+        if (this.options.onRedraw) this.options.onRedraw();
+        else this.render();
+    }
+
+    // Sample f on the grid and find the height range
+    sample() {
+        const {resolution, maxHeight, zRange} = this.options;
+        const [xMin, xMax] = this.options.xRange;
+        const [yMin, yMax] = this.options.yRange;
+        this.xs = [];
+        this.ys = [];
+        for (let k = 0; k <= resolution; k++) {
+            this.xs.push(xMin + (xMax - xMin) * k / resolution);
+            this.ys.push(yMin + (yMax - yMin) * k / resolution);
+        }
+        this.grid = this.xs.map(x => this.ys.map(y => {
+            const z = this.f(x, y);
+            return Number.isFinite(z) && Math.abs(z) <= maxHeight ? z : NaN;
+        }));
+
+        if (zRange) {
+            [this.zMin, this.zMax] = zRange;
+        } else {
+            const values = this.grid.flat().filter(Number.isFinite);
+            this.zMin = values.length ? Math.min(...values) : 0;
+            this.zMax = values.length ? Math.max(...values) : 1;
+        }
+        if (this.zMax - this.zMin < 1e-12) {
+            this.zMin -= 0.5;
+            this.zMax += 0.5;
+        }
+    }
+
+    // Data coordinates -> box coordinates centred on the origin
+    toBox(x, y, z) {
+        const [xMin, xMax] = this.options.xRange;
+        const [yMin, yMax] = this.options.yRange;
+        if (this.options.aspect === 'equal') {
+            const s = 2 / (xMax - xMin);
+            return [(x - (xMin + xMax) / 2) * s, (y - (yMin + yMax) / 2) * s, z * s];
+        }
+        const h = this.options.boxHeight;
+        return [
+            2 * (x - xMin) / (xMax - xMin) - 1,
+            2 * (y - yMin) / (yMax - yMin) - 1,
+            h * (z - this.zMin) / (this.zMax - this.zMin) - h / 2
+        ];
+    }
+
+    projectBox(bx, by, bz) {
+        const ca = Math.cos(this.azimuth), sa = Math.sin(this.azimuth);
+        const ce = Math.cos(this.elevation), se = Math.sin(this.elevation);
+        const right = bx * ca - by * sa;
+        const forward = bx * sa + by * ca;
+        const up = bz * ce + forward * se;
+        const depth = this.distance + forward * ce - bz * se;
+        const scale = this.options.focal * Math.min(this.canvas.width, this.canvas.height) / Math.max(depth, 0.1);
+        return {
+            x: this.canvas.width / 2 + right * scale,
+            y: this.canvas.height / 2 - up * scale,
+            depth
+        };
+    }
+
+    /**
+     * Project a point in data coordinates to the canvas.
+     * @returns {{x: number, y: number, depth: number}} - Larger depth is farther away
+     */
+    project(x, y, z) {
+        const [bx, by, bz] = this.toBox(x, y, z);
+        return this.projectBox(bx, by, bz);
+    }
+
+    heightAt(x, y) {
+        return this.f ? this.f(x, y) : 0;
+    }
+
+    floorZ() {
+        return this.options.aspect === 'equal' ? 0 : this.zMin;
+    }
+
+    // Triangles (mesh) or grid segments (wireframe) with their depths
+    surfaceItems() {
+        const items = [];
+        if (!this.grid) return items;
+
+        const n = this.xs.length;
+        const box = this.xs.map((x, i) => this.ys.map((y, j) =>
+            Number.isFinite(this.grid[i][j]) ? this.toBox(x, y, this.grid[i][j]) : null));
+        const screen = box.map(row => row.map(b => b && this.projectBox(b[0], b[1], b[2])));
+        const range = this.zMax - this.zMin;
+        const colorAt = (...zs) => this.colormap((zs.reduce((a, b) => a + b) / zs.length - this.zMin) / range);
+
+        if (this.wireframe) {
+            const segment = (i1, j1, i2, j2) => {
+                const a = screen[i1][j1], b = screen[i2][j2];
+                if (!a || !b) return;
+                const c = colorAt(this.grid[i1][j1], this.grid[i2][j2]);
+                items.push({type: 'line', points: [a, b], depth: (a.depth + b.depth) / 2,
+                    color: `rgb(${c[0]}, ${c[1]}, ${c[2]})`});
+            };
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    if (i + 1 < n) segment(i, j, i + 1, j);
+                    if (j + 1 < n) segment(i, j, i, j + 1);
+                }
+            }
+            return items;
+        }
+
+        // Light from above and in front; both sides of the surface are lit
+        const light = [0.41, 0.41, 0.82];
+        const opacity = this.options.opacity;
+        const triangle = (corners) => {
+            if (corners.some(([i, j]) => !box[i][j])) return;
+            const [p, q, r] = corners.map(([i, j]) => box[i][j]);
+            const u = [q[0] - p[0], q[1] - p[1], q[2] - p[2]];
+            const v = [r[0] - p[0], r[1] - p[1], r[2] - p[2]];
+            const normal = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+            const length = Math.hypot(...normal) || 1;
+            const shade = 0.35 + 0.65 * Math.abs(normal[0] * light[0] + normal[1] * light[1] + normal[2] * light[2]) / length;
+            const c = colorAt(...corners.map(([i, j]) => this.grid[i][j])).map(k => Math.round(k * shade));
+            const points = corners.map(([i, j]) => screen[i][j]);
+            items.push({
+                type: 'triangle', points,
+                depth: (points[0].depth + points[1].depth + points[2].depth) / 3,
+                color: `rgba(${c[0]}, ${c[1]}, ${c[2]}, ${opacity})`
+            });
+        };
+        for (let i = 0; i < n - 1; i++) {
+            for (let j = 0; j < n - 1; j++) {
+                triangle([[i, j], [i + 1, j], [i, j + 1]]);
+                triangle([[i + 1, j], [i + 1, j + 1], [i, j + 1]]);
+            }
+        }
+        return items;
+    }
+
+    // Path segments and markers. A small depth bias keeps them in front of
+    // the triangles they sit on.
+    overlayItems() {
+        const items = [];
+        const bias = 0.04;
+
+        this.paths.forEach(path => {
+            const pts = path.points.map(pt => {
+                const z = pt.z !== undefined ? pt.z : this.heightAt(pt.x, pt.y);
+                return Number.isFinite(z) ? this.project(pt.x, pt.y, z) : null;
+            });
+            for (let k = 0; k + 1 < pts.length; k++) {
+                if (!pts[k] || !pts[k + 1]) continue;
+                items.push({type: 'path', points: [pts[k], pts[k + 1]], color: path.color,
+                    width: path.width || 2.5, depth: (pts[k].depth + pts[k + 1].depth) / 2 - bias});
+            }
+            if (path.dots) {
+                pts.forEach(p => {
+                    if (p) items.push({type: 'dot', point: p, color: path.color, size: 3, depth: p.depth - bias});
+                });
+            }
+        });
+
+        this.markers.forEach(m => {
+            const z = m.z !== undefined ? m.z : this.heightAt(m.x, m.y);
+            if (!Number.isFinite(z)) return;
+            const p = this.project(m.x, m.y, z);
+            if (m.stem) {
+                const base = this.project(m.x, m.y, this.floorZ());
+                items.push({type: 'stem', points: [base, p], color: m.color, label: m.label,
+                    depth: (base.depth + p.depth) / 2 - bias});
+            }
+            items.push({type: 'marker', point: p, color: m.color, size: m.size || 6,
+                label: m.stem ? null : m.label, depth: p.depth - bias});
+        });
+        return items;
+    }
+
+    drawItem(item) {
+        const ctx = this.ctx;
+        switch (item.type) {
+            case 'triangle': {
+                const [a, b, c] = item.points;
+                ctx.fillStyle = item.color;
+                ctx.strokeStyle = this.options.edgeColor || item.color;
+                ctx.lineWidth = 0.5;
+                ctx.beginPath();
+                ctx.moveTo(a.x, a.y);
+                ctx.lineTo(b.x, b.y);
+                ctx.lineTo(c.x, c.y);
+                ctx.closePath();
+                ctx.fill();
+                ctx.stroke();
+                break;
+            }
+            case 'line':
+            case 'path':
+            case 'stem': {
+                const [a, b] = item.points;
+                ctx.strokeStyle = item.color;
+                ctx.lineWidth = item.type === 'line' ? 1 : item.type === 'stem' ? 2 : item.width;
+                if (item.type === 'stem') ctx.setLineDash([6, 4]);
+                ctx.beginPath();
+                ctx.moveTo(a.x, a.y);
+                ctx.lineTo(b.x, b.y);
+                ctx.stroke();
+                if (item.type !== 'stem') break;
+                ctx.setLineDash([]);
+                if (item.label) {
+                    ctx.fillStyle = item.color;
+                    ctx.font = 'bold 13px Arial';
+                    ctx.textAlign = 'left';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText(item.label, (a.x + b.x) / 2 + 6, (a.y + b.y) / 2);
+                }
+                break;
+            }
+            case 'dot':
+            case 'marker': {
+                const p = item.point;
+                ctx.fillStyle = item.color;
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, item.size, 0, 2 * Math.PI);
+                ctx.fill();
+                if (item.type === 'marker') {
+                    ctx.strokeStyle = '#000';
+                    ctx.lineWidth = 1.5;
+                    ctx.stroke();
+                    if (item.label) {
+                        ctx.font = '12px Arial';
+                        ctx.textAlign = 'left';
+                        ctx.textBaseline = 'bottom';
+                        ctx.fillText(item.label, p.x + item.size + 3, p.y - 3);
+                    }
+                }
+                break;
+            }
+        }
+    }
+
+    // Draw just the surface, for hosts that add their own overlays
+    drawSurface() {
+        const items = this.surfaceItems();
+        items.sort((a, b) => b.depth - a.depth);
+        items.forEach(item => this.drawItem(item));
+    }
+
+    // Floor grid plus x, y, z axes along the back edges of the box
+    drawAxes() {
+        const ctx = this.ctx;
+        const [xMin, xMax] = this.options.xRange;
+        const [yMin, yMax] = this.options.yRange;
+        const z0 = this.floorZ();
+        const line = (a, b) => {
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.stroke();
+        };
+
+        ctx.strokeStyle = '#2a3a5b';
+        ctx.lineWidth = 1;
+        for (let k = 0; k <= 10; k++) {
+            const x = xMin + (xMax - xMin) * k / 10;
+            const y = yMin + (yMax - yMin) * k / 10;
+            line(this.project(x, yMin, z0), this.project(x, yMax, z0));
+            line(this.project(xMin, y, z0), this.project(xMax, y, z0));
+        }
+
+        // Put the vertical axis at the floor corner farthest from the camera
+        const corners = [[xMin, yMin], [xMax, yMin], [xMin, yMax], [xMax, yMax]];
+        const [cx, cy] = corners.reduce((best, c) =>
+            this.project(c[0], c[1], z0).depth > this.project(best[0], best[1], z0).depth ? c : best);
+        const ox = cx === xMin ? xMax : xMin;
+        const oy = cy === yMin ? yMax : yMin;
+
+        ctx.strokeStyle = '#4a5568';
+        ctx.lineWidth = 1.5;
+        line(this.project(ox, cy, z0), this.project(cx, cy, z0));
+        line(this.project(cx, oy, z0), this.project(cx, cy, z0));
+        line(this.project(cx, cy, z0), this.project(cx, cy, this.zMax));
+
+        const [xLabel, yLabel, zLabel] = this.options.axisLabels;
+        const label = (text, p) => ctx.fillText(text, p.x, p.y);
+        ctx.fillStyle = '#aaa';
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        label(xLabel, this.project((xMin + xMax) / 2, oy + (oy - cy) * 0.12, z0));
+        label(yLabel, this.project(ox + (ox - cx) * 0.12, (yMin + yMax) / 2, z0));
+        label(zLabel, this.project(cx, cy, this.zMax + (this.zMax - this.zMin) * 0.08));
+        ctx.font = '10px Arial';
+        label(this.zMax.toPrecision(3), this.project(cx + (cx - ox) * 0.08, cy + (cy - oy) * 0.08, this.zMax));
+        label(this.zMin.toPrecision(3), this.project(cx + (cx - ox) * 0.08, cy + (cy - oy) * 0.08, this.zMin));
+    }
+
+    render() {
+        const ctx = this.ctx;
+        if (this.options.background) {
+            ctx.fillStyle = this.options.background;
+            ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        } else {
+            ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+        if (!this.grid) return;
+
+        if (this.options.showAxes) this.drawAxes();
+        const items = this.surfaceItems().concat(this.overlayItems());
+        items.sort((a, b) => b.depth - a.depth);
+        items.forEach(item => this.drawItem(item));
+    }
+}
+
+// Export for use in modules or direct script inclusion
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SurfacePlot, heightColormap, SURFACE_PLOT_DEFAULTS };
+}
@@ -0,0 +1,622 @@
+/**
+ * Symbolic - Differentiation, simplification and printing of expression trees
+ *
+ * Works on the AST produced by parseExpression() in math-parser.js, so load
+ * that file first. The typical entry point is differentiateExpression(),
+ * which returns the derivative as a callable, a LaTeX string and plain text.
+ *
+ * @example
+ * const d = differentiateExpression('x^3 sin(x)');
+ * d.latex;   // "3 x^{2} \sin\left(x\right) + x^{3} \cos\left(x\right)"
+ * d.text;    // "3x^2 sin(x) + x^3 cos(x)"
+ * d.fn(2);   // exact value of f'(2)
+ */
+
+// Node constructors
+const num = value => ({ type: 'number', value });
+const bin = (op, left, right) => ({ type: 'binary', op, left, right });
+const neg = arg => ({ type: 'unary', op: '-', arg });
+const call = (name, ...args) => ({ type: 'call', name, args });
+
+const isNum = (node, value) => node.type === 'number' && (value === undefined || node.value === value);
+const COMPARISON_OPS = ['<', '<=', '>', '>=', '==', '!='];
+
+// Structural equality (trees are plain data)
+const sameTree = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// x, x^2, ... are written before function calls: x cos(x) rather than cos(x) x
+const isPowerOfVariable = node => node.type === 'variable' ||
+    (node.type === 'binary' && node.op === '^' && node.left.type === 'variable' && isNum(node.right));
+
+/**
+ * Check whether a tree depends on a variable.
+ * @param {Object} node - AST node
+ * @param {string} variable - Variable name
+ * @returns {boolean} - True if the variable does not appear
+ */
+function isFreeOf(node, variable) {
+    switch (node.type) {
+        case 'variable': return node.name !== variable;
+        case 'unary':    return isFreeOf(node.arg, variable);
+        case 'binary':   return isFreeOf(node.left, variable) && isFreeOf(node.right, variable);
+        case 'call':     return node.args.every(a => isFreeOf(a, variable));
+        default:         return true;
+    }
+}
+
+/**
+ * Apply algebraic clean-up rules bottom-up: fold numeric constants (exactly,
+ * so 1/3 - 1 becomes -2/3), gather the numbers in a product into one
+ * coefficient, drop 0+ / 1* / ^1 terms, collapse double negatives and pull
+ * signs outward.
+ * @param {Object} node - AST node
+ * @returns {Object} - Simplified tree (input is not modified)
+ */
+function simplify(node) {
+    switch (node.type) {
+        case 'unary': {
+            const a = simplify(node.arg);
+            if (isNum(a)) return num(-a.value);
+            if (a.type === 'unary') return a.arg;
+            return neg(a);
+        }
+        case 'call':
+            return call(node.name, ...node.args.map(simplify));
+        case 'binary':
+            return simplifyBinary(node.op, simplify(node.left), simplify(node.right));
+        default:
+            return node;
+    }
+}
+
+function simplifyBinary(op, l, r) {
+    const a = ratio(l), b = ratio(r);
+    if (a && b && !COMPARISON_OPS.includes(op)) {
+        const folded = foldNumbers(op, a, b);
+        if (folded !== null) return folded;
+    }
+
+    switch (op) {
+        case '+':
+            if (isNum(l, 0)) return r;
+            if (isNum(r, 0)) return l;
+            if (r.type === 'unary') return bin('-', l, r.arg);
+            if (isNum(r) && r.value < 0) return bin('-', l, num(-r.value));
+            if (l.type === 'unary') return bin('-', r, l.arg);
+            break;
+        case '-':
+            if (isNum(r, 0)) return l;
+            if (isNum(l, 0)) return simplify(neg(r));
+            if (sameTree(l, r)) return num(0);
+            if (r.type === 'unary') return bin('+', l, r.arg);
+            if (isNum(r) && r.value < 0) return bin('+', l, num(-r.value));
+            break;
+        case '*':
+            if (isNum(l, 0) || isNum(r, 0)) return num(0);
+            if (isNum(l, 1)) return r;
+            if (isNum(r, 1)) return l;
+            if (isNum(l, -1)) return simplify(neg(r));
+            if (isNum(r, -1)) return simplify(neg(l));
+            if (l.type === 'unary') return neg(simplifyBinary('*', l.arg, r));
+            if (r.type === 'unary') return neg(simplifyBinary('*', l, r.arg));
+            {
+                // One coefficient per product: 2*4u x -> 8u x, cos(u)*(2pi/5)*0.3 -> 0.12pi cos(u)
+                const parts = splitCoefficient(bin('*', l, r));
+                if (parts.count > 1 || parts.coefficient[1] !== 1) return withCoefficient(parts.coefficient, parts.factors);
+            }
+            // Keep numeric coefficients in front: x*3 -> 3x, 2*(3*x) -> 6x
+            if (isNum(r)) return simplifyBinary('*', r, l);
+            if (isNum(l) && l.value < 0) return neg(simplifyBinary('*', num(-l.value), r));
+            if (r.type === 'binary' && r.op === '*' && isNum(r.left)) {
+                if (isNum(l)) return simplifyBinary('*', num(l.value * r.left.value), r.right);
+                return simplifyBinary('*', r.left, simplifyBinary('*', l, r.right));
+            }
+            // 2 * (x/y) -> (2x)/y, so coefficients can cancel against the denominator
+            if (isNum(l) && r.type === 'binary' && r.op === '/') {
+                return simplifyBinary('/', simplifyBinary('*', l, r.left), r.right);
+            }
+            if (sameTree(l, r)) return bin('^', l, num(2));
+            {
+                // x*y*x -> x^2 y
+                const collected = collectPowers(l, r);
+                if (collected) return collected;
+            }
+            if (l.type === 'call' && isPowerOfVariable(r)) return bin('*', r, l);
+            // a * (1/b) -> a/b
+            if (r.type === 'binary' && r.op === '/' && isNum(r.left, 1)) return bin('/', l, r.right);
+            if (l.type === 'binary' && l.op === '/' && isNum(l.left, 1)) return bin('/', r, l.right);
+            break;
+        case '/':
+            if (isNum(l, 0)) return num(0);
+            if (isNum(r, 1)) return l;
+            if (sameTree(l, r)) return num(1);
+            {
+                // Cancel numeric coefficients: (6x)/4 -> 3x/2, (x/2)/3 -> x/6, 3/(3x) -> 1/x
+                const top = splitCoefficient(l);
+                const bottom = splitCoefficient(r);
+                const [p, q] = bottom.coefficient;
+                if (bottom.count > 0 && top.count + bottom.count > 1 && p !== 0) {
+                    return withCoefficient([top.coefficient[0] * q, top.coefficient[1] * p], top.factors, bottom.factors);
+                }
+            }
+            // (a/b)/c -> a/(bc)
+            if (l.type === 'binary' && l.op === '/') {
+                return simplifyBinary('/', l.left, simplifyBinary('*', l.right, r));
+            }
+            if (l.type === 'unary') return neg(simplifyBinary('/', l.arg, r));
+            if (r.type === 'unary') return neg(simplifyBinary('/', l, r.arg));
+            if (isNum(l) && l.value < 0) return neg(simplifyBinary('/', num(-l.value), r));
+            // Cancel a shared numeric coefficient: (2x)/(2y) -> x/y, (2x)/2 -> x
+            if (l.type === 'binary' && l.op === '*' && isNum(l.left)) {
+                if (isNum(r, l.left.value)) return l.right;
+                if (r.type === 'binary' && r.op === '*' && isNum(r.left, l.left.value)) {
+                    return simplifyBinary('/', l.right, r.right);
+                }
+            }
+            break;
+        case '^':
+            if (isNum(r, 0)) return num(1);
+            if (isNum(r, 1)) return l;
+            if (isNum(l, 1)) return num(1);
+            // (u^a)^b -> u^(ab), but only when that keeps the sign: (x^2)^0.5 is |x|, not x
+            if (b && l.type === 'binary' && l.op === '^') {
+                const inner = ratio(l.right);
+                if (inner && canCombinePowers(inner[0] / inner[1], b[0] / b[1])) {
+                    return simplifyBinary('^', l.left, foldNumbers('*', inner, b));
+                }
+            }
+            break;
+    }
+    return bin(op, l, r);
+}
+
+// (u^a)^b = u^(ab) holds for every u when b is an integer, or when u^a keeps the
+// sign of u (a an odd integer or 1/odd). Otherwise u^a may have lost a sign.
+function canCombinePowers(a, b) {
+    const isOdd = v => Number.isInteger(v) && Math.abs(v % 2) === 1;
+    return Number.isInteger(b) || isOdd(a) || (a !== 0 && isOdd(Math.round(1 / a)) &&
+        Math.abs(1 / a - Math.round(1 / a)) < 1e-9);
+}
+
+// Split a product into its factors: (2x)*(y*sin(x)) -> [2, x, y, sin(x)]
+function productFactors(node) {
+    if (node.type === 'binary' && node.op === '*') {
+        return [...productFactors(node.left), ...productFactors(node.right)];
+    }
+    return [node];
+}
+
+// Combine repeated variables in a product: x*y*x -> x^2 y, (x*y)*(x*exp(x)) -> x^2 y exp(x).
+// Returns null when no variable repeats, so ordinary products are left alone. Only
+// integer powers are collected: x^0.5 x^0.5 is x for x >= 0 but undefined for x < 0.
+function collectPowers(l, r) {
+    const exponents = new Map();
+    const others = [];
+    let coefficient = 1;
+    let repeated = false;
+    for (const factor of [...productFactors(l), ...productFactors(r)]) {
+        const isPower = factor.type === 'binary' && factor.op === '^' &&
+            factor.left.type === 'variable' && isNum(factor.right) && Number.isInteger(factor.right.value);
+        if (factor.type === 'variable' || isPower) {
+            const name = isPower ? factor.left.name : factor.name;
+            if (exponents.has(name)) repeated = true;
+            exponents.set(name, (exponents.get(name) || 0) + (isPower ? factor.right.value : 1));
+        } else if (isNum(factor)) {
+            coefficient *= factor.value;
+        } else {
+            others.push(factor);
+        }
+    }
+    if (!repeated) return null;
+
+    const factors = [num(coefficient)];
+    exponents.forEach((power, name) => {
+        factors.push(simplifyBinary('^', { type: 'variable', name }, num(power)));
+    });
+    return [...factors, ...others].reduce((acc, factor) => simplifyBinary('*', acc, factor));
+}
+
+// A numeric constant as [numerator, denominator]: 3 -> [3, 1], 1/3 -> [1, 3],
+// -(2/3) -> [-2, 3]. Null for anything else.
+function ratio(node) {
+    if (isNum(node)) return [node.value, 1];
+    if (node.type === 'unary') {
+        const inner = ratio(node.arg);
+        return inner && [-inner[0], inner[1]];
+    }
+    if (node.type === 'binary' && node.op === '/' && isNum(node.left) && isNum(node.right)) {
+        return [node.left.value, node.right.value];
+    }
+    return null;
+}
+
+// n/d as a tree: reduced and kept exact for integers (1/3 stays 1/3, not 0.333...),
+// a plain decimal otherwise
+function ratioNode(n, d) {
+    if (!Number.isInteger(n) || !Number.isInteger(d)) return num(n / d);
+    let g = Math.abs(n), h = Math.abs(d);
+    while (h) [g, h] = [h, g % h];
+    const [top, bottom] = [Math.abs(n) / g, Math.abs(d) / g];
+    if (bottom === 1) return num(Math.sign(n * d) * top);
+    const fraction = bin('/', num(top), num(bottom));
+    return n * d < 0 ? neg(fraction) : fraction;
+}
+
+// Fold two numeric constants exactly: 1/3 - 1 -> -2/3, (1/2)^2 -> 1/4.
+// Powers are only folded for whole exponents (2^(1/2) stays as it is).
+function foldNumbers(op, [a, b], [c, d]) {
+    let n, m;
+    switch (op) {
+        case '+': n = a * d + c * b; m = b * d; break;
+        case '-': n = a * d - c * b; m = b * d; break;
+        case '*': n = a * c; m = b * d; break;
+        case '/': n = a * d; m = b * c; break;
+        case '^': {
+            const k = c / d;
+            if (!Number.isInteger(k)) return null;
+            [n, m] = k < 0 ? [Math.pow(b, -k), Math.pow(a, -k)] : [Math.pow(a, k), Math.pow(b, k)];
+            if (Math.abs(n) > 1e6 || Math.abs(m) > 1e6) return null;
+            break;
+        }
+        default: return null;
+    }
+    return m !== 0 && isFinite(n) && isFinite(m) ? ratioNode(n, m) : null;
+}
+
+// Split a product into its numeric coefficient and other factors, reading a
+// division by a number as a factor 1/d: (2pi/5)*0.3 -> [0.6, 5], [pi].
+// count is the number of numeric constants found.
+function splitCoefficient(node) {
+    const value = ratio(node);
+    if (value) return { coefficient: value, factors: [], count: 1 };
+    if (node.type === 'binary' && node.op === '*') {
+        const left = splitCoefficient(node.left);
+        const right = splitCoefficient(node.right);
+        return {
+            coefficient: [left.coefficient[0] * right.coefficient[0], left.coefficient[1] * right.coefficient[1]],
+            factors: [...left.factors, ...right.factors],
+            count: left.count + right.count
+        };
+    }
+    const divisor = node.type === 'binary' && node.op === '/' ? ratio(node.right) : null;
+    if (divisor && divisor[0] !== 0) {
+        const left = splitCoefficient(node.left);
+        return {
+            coefficient: [left.coefficient[0] * divisor[1], left.coefficient[1] * divisor[0]],
+            factors: left.factors,
+            count: left.count + 1
+        };
+    }
+    return { coefficient: [1, 1], factors: [node], count: 0 };
+}
+
+// Rebuild c * (factors) / (divisors) as (n*rest)/(d*below), with the sign outside
+function withCoefficient(coefficient, factors, divisors = []) {
+    const product = list => {
+        // pi and e go first, next to the coefficient: 0.12pi cos(u)
+        const ordered = [...list].sort((f, g) => (g.type === 'constant') - (f.type === 'constant'));
+        return ordered.length ? ordered.reduce((acc, factor) => simplifyBinary('*', acc, factor)) : null;
+    };
+    let [n, d] = coefficient;
+    let rest = product(factors);
+    // x^-2 x^2 collects to 1
+    const leftover = rest && ratio(rest);
+    if (leftover) {
+        [n, d] = [n * leftover[0], d * leftover[1]];
+        rest = null;
+    }
+    const c = ratioNode(n, d);
+    const below = product(divisors);
+    if (isNum(c, 0) || (!rest && !below)) return c;
+    const sign = ratio(c);
+    const [top, bottom] = [Math.abs(sign[0]), Math.abs(sign[1])];
+    const scale = (k, node) => (!node ? num(k) : k === 1 ? node : bin('*', num(k), node));
+    const numerator = scale(top, rest);
+    const result = bottom === 1 && !below ? numerator : bin('/', numerator, scale(bottom, below));
+    return sign[0] < 0 ? neg(result) : result;
+}
+
+// d/du of each built-in function, as a tree in terms of u
+const DERIVATIVE_RULES = {
+    sin:   u => call('cos', u),
+    cos:   u => neg(call('sin', u)),
+    tan:   u => bin('^', call('sec', u), num(2)),
+    sec:   u => bin('*', call('sec', u), call('tan', u)),
+    csc:   u => neg(bin('*', call('csc', u), call('cot', u))),
+    cot:   u => neg(bin('^', call('csc', u), num(2))),
+    asin:  u => bin('/', num(1), call('sqrt', bin('-', num(1), bin('^', u, num(2))))),
+    acos:  u => neg(bin('/', num(1), call('sqrt', bin('-', num(1), bin('^', u, num(2)))))),
+    atan:  u => bin('/', num(1), bin('+', num(1), bin('^', u, num(2)))),
+    sinh:  u => call('cosh', u),
+    cosh:  u => call('sinh', u),
+    tanh:  u => bin('-', num(1), bin('^', call('tanh', u), num(2))),
+    asinh: u => bin('/', num(1), call('sqrt', bin('+', bin('^', u, num(2)), num(1)))),
+    acosh: u => bin('/', num(1), call('sqrt', bin('-', bin('^', u, num(2)), num(1)))),
+    atanh: u => bin('/', num(1), bin('-', num(1), bin('^', u, num(2)))),
+    exp:   u => call('exp', u),
+    ln:    u => bin('/', num(1), u),
+    log:   u => bin('/', num(1), u),
+    log10: u => bin('/', num(1), bin('*', u, call('ln', num(10)))),
+    log2:  u => bin('/', num(1), bin('*', u, call('ln', num(2)))),
+    sqrt:  u => bin('/', num(1), bin('*', num(2), call('sqrt', u))),
+    cbrt:  u => bin('/', num(1), bin('*', num(3), bin('^', call('cbrt', u), num(2)))),
+    abs:   u => call('sign', u),
+    // Piecewise constant: derivative is 0 wherever it exists
+    sign:  () => num(0),
+    floor: () => num(0),
+    ceil:  () => num(0)
+};
+
+/**
+ * Differentiate a tree with respect to one variable.
+ * @param {Object} node - AST node
+ * @param {string} variable - Variable to differentiate by (default: 'x')
+ * @returns {Object} - Unsimplified derivative tree
+ * @throws {Error} - For functions without a derivative rule
+ */
+function differentiate(node, variable = 'x') {
+    if (isFreeOf(node, variable)) return num(0);
+    const d = n => differentiate(n, variable);
+
+    switch (node.type) {
+        case 'variable':
+            return num(1);
+        case 'unary':
+            return neg(d(node.arg));
+        case 'binary': {
+            const { op, left: u, right: v } = node;
+            switch (op) {
+                case '+':
+                case '-':
+                    return bin(op, d(u), d(v));
+                case '*':
+                    if (isFreeOf(u, variable)) return bin('*', u, d(v));
+                    if (isFreeOf(v, variable)) return bin('*', d(u), v);
+                    return bin('+', bin('*', d(u), v), bin('*', u, d(v)));
+                case '/':
+                    if (isFreeOf(v, variable)) return bin('/', d(u), v);
+                    if (isFreeOf(u, variable)) {
+                        return neg(bin('/', bin('*', u, d(v)), bin('^', v, num(2))));
+                    }
+                    return bin('/',
+                        bin('-', bin('*', d(u), v), bin('*', u, d(v))),
+                        bin('^', v, num(2)));
+                case '^':
+                    // Power rule: (u^n)' = n u^(n-1) u'
+                    if (isFreeOf(v, variable)) {
+                        return bin('*', bin('*', v, bin('^', u, bin('-', v, num(1)))), d(u));
+                    }
+                    // Exponential rule: (a^v)' = a^v ln(a) v'
+                    if (isFreeOf(u, variable)) {
+                        const lnA = u.type === 'constant' && u.name === 'e' ? num(1) : call('ln', u);
+                        return bin('*', bin('*', node, lnA), d(v));
+                    }
+                    // General case: (u^v)' = u^v (v' ln(u) + v u'/u)
+                    return bin('*', node, bin('+',
+                        bin('*', d(v), call('ln', u)),
+                        bin('/', bin('*', v, d(u)), u)));
+                default:
+                    // Comparisons are piecewise constant
+                    return num(0);
+            }
+        }
+        case 'call': {
+            const { name, args } = node;
+            if (name === 'piecewise') {
+                const out = args.map((a, i) => (i % 2 === 0 && i + 1 < args.length ? a : d(a)));
+                return call('piecewise', ...out);
+            }
+            if ((name === 'min' || name === 'max') && args.length === 2) {
+                const [a, b] = args;
+                return call('piecewise', bin(name === 'min' ? '<=' : '>=', a, b), d(a), d(b));
+            }
+            const rule = DERIVATIVE_RULES[name];
+            if (!rule || args.length !== 1) {
+                throw new Error(`No derivative rule for ${name}()`);
+            }
+            // Chain rule: (g(u))' = g'(u) u'
+            return bin('*', rule(args[0]), d(args[0]));
+        }
+    }
+    return num(0);
+}
+
+// ---------------------------------------------------------------------------
+// Printing
+// ---------------------------------------------------------------------------
+
+// Binding strength used to decide where parentheses are needed
+function precedence(node) {
+    switch (node.type) {
+        case 'number':
+            return node.value < 0 ? 3 : 5;
+        case 'unary':
+            return 3;
+        case 'binary':
+            if (COMPARISON_OPS.includes(node.op)) return 0;
+            if (node.op === '+' || node.op === '-') return 1;
+            if (node.op === '*' || node.op === '/') return 2;
+            return 4;
+        default:
+            return 5;
+    }
+}
+
+function formatNumber(v) {
+    if (Number.isInteger(v)) return String(v);
+    return String(parseFloat(v.toPrecision(6)));
+}
+
+const LATEX_FUNCTIONS = {
+    sin: '\\sin', cos: '\\cos', tan: '\\tan', sec: '\\sec', csc: '\\csc', cot: '\\cot',
+    asin: '\\arcsin', acos: '\\arccos', atan: '\\arctan',
+    sinh: '\\sinh', cosh: '\\cosh', tanh: '\\tanh',
+    asinh: '\\operatorname{arsinh}', acosh: '\\operatorname{arcosh}', atanh: '\\operatorname{artanh}',
+    ln: '\\ln', log: '\\ln', log10: '\\log_{10}', log2: '\\log_{2}',
+    sign: '\\operatorname{sgn}', min: '\\min', max: '\\max'
+};
+
+const LATEX_COMPARISONS = { '<': '<', '<=': '\\le', '>': '>', '>=': '\\ge', '==': '=', '!=': '\\ne' };
+
+/**
+ * Render a tree as LaTeX (KaTeX compatible).
+ * @param {Object} node - AST node
+ * @returns {string} - LaTeX source without surrounding delimiters
+ */
+function toLatex(node) {
+    const paren = s => `\\left(${s}\\right)`;
+    const wrap = (child, test) => (test(precedence(child)) ? paren(toLatex(child)) : toLatex(child));
+
+    switch (node.type) {
+        case 'number': {
+            const s = formatNumber(node.value);
+            const m = /^(-?[\d.]+)e([+-]\d+)$/.exec(s);
+            return m ? `${m[1]} \\times 10^{${parseInt(m[2], 10)}}` : s;
+        }
+        case 'constant':
+            return node.name === 'e' ? 'e' : '\\pi';
+        case 'variable':
+            return node.name;
+        case 'unary':
+            return '-' + wrap(node.arg, p => p <= 1);
+        case 'binary': {
+            const { op, left, right } = node;
+            if (COMPARISON_OPS.includes(op)) {
+                return `${toLatex(left)} ${LATEX_COMPARISONS[op]} ${toLatex(right)}`;
+            }
+            switch (op) {
+                case '+':
+                    return `${toLatex(left)} + ${wrap(right, p => p === 3)}`;
+                case '-':
+                    return `${toLatex(left)} - ${wrap(right, p => p <= 1 || p === 3)}`;
+                case '*': {
+                    const l = wrap(left, p => p <= 1);
+                    const r = wrap(right, p => p <= 1 || p === 3);
+                    const dot = /^[\d.]/.test(r) ? ' \\cdot ' : ' ';
+                    return l + dot + r;
+                }
+                case '/':
+                    return `\\frac{${toLatex(left)}}{${toLatex(right)}}`;
+                case '^': {
+                    const exponent = toLatex(right);
+                    // sin(x)^2 -> \sin^{2}\left(x\right)
+                    if (left.type === 'call' && /^(sin|cos|tan|sec|csc|cot|sinh|cosh|tanh)$/.test(left.name)) {
+                        return `${LATEX_FUNCTIONS[left.name]}^{${exponent}}${paren(toLatex(left.args[0]))}`;
+                    }
+                    // (n!)^{2}: a bare n!^{2} is ambiguous
+                    if (left.type === 'call' && left.name === 'factorial') return `${paren(toLatex(left))}^{${exponent}}`;
+                    return `${wrap(left, p => p < 5)}^{${exponent}}`;
+                }
+            }
+            break;
+        }
+        case 'call': {
+            const { name, args } = node;
+            switch (name) {
+                case 'sqrt':
+                    return `\\sqrt{${toLatex(args[0])}}`;
+                case 'cbrt':
+                    return `\\sqrt[3]{${toLatex(args[0])}}`;
+                case 'abs':
+                    return `\\left|${toLatex(args[0])}\\right|`;
+                case 'exp':
+                    return `e^{${toLatex(args[0])}}`;
+                case 'floor':
+                    return `\\left\\lfloor ${toLatex(args[0])} \\right\\rfloor`;
+                case 'ceil':
+                    return `\\left\\lceil ${toLatex(args[0])} \\right\\rceil`;
+                case 'factorial':
+                    return `${wrap(args[0], p => p < 5)}!`;
+                case 'piecewise': {
+                    const rows = [];
+                    let i = 0;
+                    for (; i + 1 < args.length; i += 2) {
+                        rows.push(`${toLatex(args[i + 1])} & \\text{if } ${toLatex(args[i])}`);
+                    }
+                    if (i < args.length) rows.push(`${toLatex(args[i])} & \\text{otherwise}`);
+                    return `\\begin{cases} ${rows.join(' \\\\ ')} \\end{cases}`;
+                }
+                default:
+                    return (LATEX_FUNCTIONS[name] || `\\operatorname{${name}}`) +
+                        paren(args.map(toLatex).join(', '));
+            }
+        }
+    }
+    return '';
+}
+
+/**
+ * Render a tree as plain text in the same syntax the parser accepts,
+ * e.g. for canvas labels or for pre-filling an input box.
+ * @param {Object} node - AST node
+ * @returns {string} - Expression text
+ */
+function toText(node) {
+    const wrap = (child, test) => (test(precedence(child)) ? `(${toText(child)})` : toText(child));
+
+    switch (node.type) {
+        case 'number':
+            return formatNumber(node.value);
+        case 'constant':
+        case 'variable':
+            return node.name;
+        case 'unary':
+            return '-' + wrap(node.arg, p => p <= 1);
+        case 'binary': {
+            const { op, left, right } = node;
+            switch (op) {
+                case '+':
+                    return `${toText(left)} + ${wrap(right, p => p === 3)}`;
+                case '-':
+                    return `${toText(left)} - ${wrap(right, p => p <= 1 || p === 3)}`;
+                case '*': {
+                    const l = wrap(left, p => p <= 1);
+                    const r = wrap(right, p => p <= 1 || p === 3);
+                    if (/^[\d.]/.test(r)) return `${l}*${r}`;
+                    return isNum(left) ? l + r : `${l} ${r}`;
+                }
+                case '/':
+                    return `${wrap(left, p => p <= 1)}/${wrap(right, p => p <= 2)}`;
+                case '^':
+                    return `${wrap(left, p => p < 5)}^${wrap(right, p => p < 5)}`;
+                default:
+                    return `${toText(left)} ${op} ${toText(right)}`;
+            }
+        }
+        case 'call':
+            return `${node.name}(${node.args.map(toText).join(', ')})`;
+    }
+    return '';
+}
+
+/**
+ * Parse (if needed), differentiate and simplify an expression.
+ * @param {string|Object} expr - Expression text or an AST from parseExpression
+ * @param {string} variable - Variable to differentiate by (default: 'x')
+ * @param {string[]} variables - All variables, in the argument order of fn
+ * @returns {{ast: Object, fn: Function, latex: string, text: string}}
+ * @throws {ExpressionError} - If the text cannot be parsed
+ */
+function differentiateExpression(expr, variable = 'x', variables = [variable]) {
+    const tree = typeof expr === 'string' ? parseExpression(expr, variables) : expr;
+    // Simplify twice: the first pass can expose new 0/1 terms for the second
+    const ast = simplify(simplify(differentiate(tree, variable)));
+    return {
+        ast,
+        fn: compileAST(ast, variables),
+        latex: toLatex(ast),
+        text: toText(ast)
+    };
+}
+
+// Export for use in modules or direct script inclusion
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isFreeOf,
+        simplify,
+        differentiate,
+        toLatex,
+        toText,
+        differentiateExpression
+    };
+}